@@ -1,5 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import './App.css'
+// Message schema shared with the server (field rules, error codes, version)
+import protocol from '../../server/protocol.schema.json'
 
 /**
  * WebSocket URL Configuration
@@ -24,7 +26,72 @@ const getWebSocketURL = () => {
 }
 
 const WS_URL = getWebSocketURL()
-const QUESTION_MS = 15000 // 15 seconds per question
+const TIME_LIMIT_CHOICES = [10, 15, 20, 30, 45, 60, 90, 120] // Seconds per question offered in the lobby
+const REVEAL_DELAY_CHOICES = [5, 8, 10, 15, 20, 30] // Auto-advance: seconds each reveal stays up
+const PROTOCOL_VERSION = protocol.version // Sent as "v" with every message; the server rejects other versions
+const MAX_PENDING_REQUESTS = 50 // Request ids remembered for matching 'error' replies (oldest dropped first)
+const ERROR_DISPLAY_MS = 6000 // In-game error banners hide themselves after this long
+
+/**
+ * Option Label
+ * 
+ * Letter shown next to each option: T/F for true/false questions,
+ * otherwise A, B, C, ... (up to F for six options).
+ * 
+ * @param {string} type - Question type
+ * @param {number} idx - Option index
+ * @returns {string} Label
+ */
+const optionLabel = (type, idx) =>
+  type === 'true-false' ? ['T', 'F'][idx] : String.fromCharCode(65 + idx)
+
+/**
+ * Format Number
+ * 
+ * Rounds to at most 2 decimal places for display (histogram labels, estimates).
+ * 
+ * @param {number} n - Number to show
+ * @returns {string} Display text
+ */
+const formatNumber = (n) => (typeof n === 'number' ? String(Math.round(n * 100) / 100) : '')
+
+/**
+ * Format Percent
+ * 
+ * @param {number|null} share - Value between 0 and 1
+ * @returns {string} e.g. "75%", or "—" when there were no answers
+ */
+const formatPercent = (share) => (typeof share === 'number' ? `${Math.round(share * 100)}%` : '—')
+
+/**
+ * Format Audit Details
+ * 
+ * Short text for what an audit trail entry changed, e.g. "seconds: 20, topic: —".
+ * 
+ * @param {object} details - Entry details from the server
+ * @returns {string} Display text ('' when there are none)
+ */
+const formatAuditDetails = (details) =>
+  Object.entries(details || {})
+    .filter(([key]) => key !== 'playerId') // playerName says who
+    .map(([key, value]) => `${key}: ${value === '' ? '—' : String(value)}`)
+    .join(', ')
+
+/**
+ * Format Answer
+ * 
+ * Turns a player's answer into short display text for the host's answer list:
+ * option letters ("A", "A, C") or the typed number with its unit.
+ * 
+ * @param {object} question - Current question ({ type, unit })
+ * @param {number|Array<number>} value - Answer as sent by the server
+ * @returns {string} Display text
+ */
+const formatAnswer = (question, value) => {
+  if (question?.type === 'numeric') return `${formatNumber(value)}${question.unit ? ` ${question.unit}` : ''}`
+  const picks = Array.isArray(value) ? value : [value]
+  return picks.map((idx) => optionLabel(question?.type, idx)).join(', ')
+}
 
 /**
  * Empty Session Template
@@ -35,43 +102,213 @@ const QUESTION_MS = 15000 // 15 seconds per question
  * - Handling connection errors
  * 
  * Structure:
+ * - roomCode: Join code of the room this state belongs to
  * - phase: Current game phase (lobby, question, reveal, ended)
+ * - bankId: Question bank picked for this room
+ * - banks: Question banks the lobby can choose from [{ id, name, count, topics: [{ name, count }] }]
+ * - questionCount / topic / randomOrder: How the next game's questions are drawn
+ *   (0 = all questions, '' = every topic)
+ * - shuffleOptions: Whether each player sees the options in their own order
+ * - scoringMode: 'classic' (+1 per correct answer) or 'speed' (faster = more points)
  * - questionIndex: Which question we're on (-1 means no question active)
  * - timeLeft: Milliseconds remaining for current question
+ * - duration: Full length of the current question in ms, from the server
+ *   (the question's own time limit or the lobby default; grows when the host adds time)
+ * - timeLimit: Lobby default in seconds for questions without their own limit
+ * - paused: Whether the host has paused the question timer
+ * - autoReveal: Whether the question reveals as soon as everyone has answered
+ * - autoAdvance / revealDelay (seconds) / autoReturn: Hands-free mode settings
+ * - advanceIn: Milliseconds until the reveal moves on by itself (null = waiting for the host)
+ * - lobbyIn: Milliseconds until the final results go back to the lobby (null = waiting for the host)
  * - question: The current question object (null if no question)
- * - counts: Array of how many players chose each option [A, B, C, D]
- * - answers: Object mapping player IDs to their answers
+ *   type is 'single', 'true-false', 'multi' (select all that apply) or 'numeric'
+ *   Options (and counts, answers, correct) come in this player's own order
+ * - counts: Array of how many players chose each option [A, B, C, ...]
+ *   (null while the question is open, unless the host shows live counts)
+ * - showLiveCounts: Whether the host lets players see counts before the reveal
+ * - histogram: Spread of guesses on a numeric question during reveal
+ *   { bins: [{ from, to, count }], below, above }
+ * - answers: Object mapping player IDs to their answers (host/admin only, otherwise null)
+ * - analytics: Stats per revealed question (host/admin only, otherwise null)
+ *   { questions: [{ questionId, prompt, percentCorrect, medianResponseMs, wrongOptions, difficulty, needsReteach }], reteach }
  * - scores: Object mapping player IDs to their total scores
+ * - roundPoints: Points each player earned on the revealed question
+ * - yourResult: Our points breakdown for the revealed question (null outside reveal)
  * - youAnswered: The current player's answer (undefined if not answered)
- * - players: Array of all connected players
+ *   An option index, an array of indexes (multi) or the typed number (numeric)
+ * - connections: Each connected player's { latencyMs, quality } by ID (host/admin only, otherwise null)
+ *   quality is 'good' / 'fair' / 'poor' from the server's heartbeat (null if unknown)
+ * - players: Everyone on the player list [{ id, name, color, online }]
+ *   Players who drop out stay listed (online: false) for a grace period,
+ *   and until the game ends if they answered anything
  */
 const emptySession = () => ({
+  roomCode: '',
+  hostId: null,
   phase: 'lobby', // lobby | question | reveal | ended
+  bankId: null,
+  banks: [],
+  scoringMode: 'classic',
+  showLiveCounts: false,
+  questionCount: 0,
+  topic: '',
+  randomOrder: true,
+  shuffleOptions: true,
   questionIndex: -1,
   totalQuestions: 0,
   timeLeft: 0,
+  duration: 0,
+  timeLimit: null,
+  paused: false,
+  autoReveal: true,
+  autoAdvance: false,
+  revealDelay: null,
+  autoReturn: false,
+  advanceIn: null,
+  lobbyIn: null,
   question: null,
-  counts: [0, 0, 0, 0],
+  counts: null,
+  histogram: null,
   totalAnswers: 0,
-  answers: {},
+  answers: null,
+  analytics: null,
+  connections: null,
   scores: {},
+  roundPoints: {},
+  yourResult: null,
   youAnswered: undefined,
   players: [],
 })
 
+const IDENTITY_STORAGE_KEY = 'economics-quiz-identity' // Where the resume details survive a page refresh
+const RECONNECT_BASE_MS = 1000 // First automatic retry after about a second
+const RECONNECT_MAX_MS = 30000 // Retries back off to at most 30 seconds apart
+const REPLACED_CLOSE_CODE = 4001 // Server: this player was resumed in another tab or device
+
+/**
+ * Load Saved Identity
+ * 
+ * Reads the resume details kept by saveIdentity, so a refreshed page
+ * (or a phone waking up) can take back its seat and score.
+ * 
+ * @returns {object|null} { resumeToken, name, color, roomCode } or null if there is none
+ */
+const loadSavedIdentity = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(IDENTITY_STORAGE_KEY))
+    return saved?.resumeToken ? saved : null
+  } catch {
+    return null // Storage blocked (e.g. private mode) or unreadable
+  }
+}
+
+/**
+ * Save Identity
+ * 
+ * Keeps the details a reconnect needs in localStorage. Only the signed
+ * resume token can claim the identity, so the id itself isn't stored.
+ * 
+ * @param {object} identity - { resumeToken, name, color, roomCode }
+ */
+const saveIdentity = ({ resumeToken, name, color, roomCode }) => {
+  try {
+    window.localStorage.setItem(IDENTITY_STORAGE_KEY, JSON.stringify({ resumeToken, name, color, roomCode }))
+  } catch {
+    // Storage unavailable - reconnecting still works until the page is closed
+  }
+}
+
+/**
+ * Reconnect Delay
+ * 
+ * Exponential backoff with jitter: the wait doubles with every failed attempt
+ * (up to RECONNECT_MAX_MS) and is randomised between half and all of that,
+ * so a whole class doesn't hit a restarted server at the same moment.
+ * 
+ * @param {number} attempt - Failed attempts so far (0 for the first retry)
+ * @returns {number} Milliseconds to wait
+ */
+const reconnectDelay = (attempt) => {
+  const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt)
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2))
+}
+
+/**
+ * Encode Message
+ * 
+ * Wraps an outgoing message in the protocol envelope (see protocol.schema.json):
+ * - v: PROTOCOL_VERSION
+ * - requestId: A number the server echoes back if the request fails
+ * 
+ * The request's type is remembered under its id, so an 'error' reply
+ * can tell which request it belongs to.
+ * 
+ * @param {object} payload - Message with its type and fields
+ * @param {object} requests - { nextId, pending: Map<requestId, type> } (kept in a ref)
+ * @returns {string} JSON text to send
+ */
+const encodeMessage = (payload, requests) => {
+  const requestId = requests.nextId++
+  requests.pending.set(requestId, payload.type)
+  if (requests.pending.size > MAX_PENDING_REQUESTS) requests.pending.delete(requests.pending.keys().next().value)
+  return JSON.stringify({ ...payload, v: PROTOCOL_VERSION, requestId })
+}
+
+/**
+ * Set In
+ * 
+ * Copy of a JSON value with one nested key set (or removed). Only the objects
+ * along the path are copied, so unchanged parts keep their identity for React.
+ * 
+ * @param {*} target - Object or array to update
+ * @param {Array<string|number>} path - Keys from the top, e.g. ['players', 3, 'online']
+ * @param {*} value - New value
+ * @param {boolean} remove - Delete the key instead of setting it
+ * @returns {*} Updated copy
+ */
+const setIn = (target, path, value, remove) => {
+  if (!path.length) return value
+  const [key, ...rest] = path
+  const copy = Array.isArray(target) ? [...target] : { ...target }
+  if (rest.length) copy[key] = setIn(target?.[key], rest, value, remove)
+  else if (remove) delete copy[key]
+  else copy[key] = value
+  return copy
+}
+
+/**
+ * Apply Patch
+ * 
+ * Applies a 'patch' from the server (see server/statePatch.js) to our copy of the state.
+ * Each change is [path, value], or [path] to delete that key.
+ * 
+ * @param {object} state - State before the patch
+ * @param {Array<Array>} changes - Changes in the order the server listed them
+ * @returns {object} State after the patch
+ */
+const applyPatch = (state, changes) =>
+  changes.reduce((next, [path, ...value]) => setIn(next, path, value[0], value.length === 0), state)
+
 function App() {
   // ===== STATE MANAGEMENT =====
   // React state hooks store data that, when changed, cause the UI to re-render
   
   // Connection state: tracks WebSocket connection status
-  // Values: 'connecting', 'connected', 'disconnected'
+  // Values: 'connecting', 'connected', 'reconnecting', 'disconnected'
   const [connection, setConnection] = useState('connecting')
+
+  // Reconnect attempt: how many automatic retries since the connection dropped (0 = none)
+  const [retryAttempt, setRetryAttempt] = useState(0)
+
+  // Saved identity: resume details from an earlier visit (read once, see loadSavedIdentity)
+  const [savedIdentity] = useState(loadSavedIdentity)
   
   // Player metadata: stores the current player's identity
   // - id: Unique identifier assigned by server
   // - color: Random color assigned by server for visual distinction
   // - name: Player's chosen display name
-  const [meta, setMeta] = useState({ id: '', color: '', name: '' })
+  // - roomCode: Join code of the room we are in (empty until the server confirms)
+  const [meta, setMeta] = useState({ id: '', color: '', name: '', roomCode: '' })
   
   // Game session state: the current game state received from server
   // This is the "source of truth" for what's happening in the quiz
@@ -79,7 +316,14 @@ function App() {
   
   // Name input: temporary storage for the name input field
   // Separate from meta.name because user might be typing before submitting
-  const [nameInput, setNameInput] = useState('')
+  const [nameInput, setNameInput] = useState(savedIdentity?.name || '')
+
+  // Room code input: the join code typed on the name screen
+  // Left empty when the player wants to create a new room instead
+  const [roomInput, setRoomInput] = useState(savedIdentity?.roomCode || '')
+
+  // Server error: last error from the server (e.g. unknown room code, rejected bank file)
+  const [serverError, setServerError] = useState('')
   
   // Connection version: used to force WebSocket reconnection
   // When this changes, the useEffect hook re-runs and creates a new connection
@@ -93,12 +337,25 @@ function App() {
   // Shows different UI (rejoin screen) vs accidental disconnection
   const [hasLeft, setHasLeft] = useState(false)
   
+  // Multi-select picks: options ticked on a "select all that apply" question
+  // Keyed by question so ticks never carry over to the next question
+  const [multiPick, setMultiPick] = useState({ key: '', picks: [] })
+
+  // Numeric input: the estimate typed on a numeric question (same keying as multiPick)
+  const [numericInput, setNumericInput] = useState({ key: '', value: '' })
+
   // Admin-related state
   const [showPasswordModal, setShowPasswordModal] = useState(false) // Show password input modal
-  const [passwordInput, setPasswordInput] = useState(['', '', '', '']) // 4-digit password input
+  const [passwordInput, setPasswordInput] = useState('') // Admin password being typed (never stored after submit)
+  const [adminError, setAdminError] = useState('') // Why the last login failed (shown in the modal)
+  const [adminPending, setAdminPending] = useState(false) // Waiting for the server to check the password
   const [isAdmin, setIsAdmin] = useState(false) // Whether current user is admin
   const [showAdminPanel, setShowAdminPanel] = useState(false) // Show admin control panel
 
+  // Audit trail: a room's privileged actions, as last fetched by the host (null = hidden)
+  // { roomCode, entries } - from the final screen, or for a closed room from the join screen
+  const [auditTrail, setAuditTrail] = useState(null)
+
   // ===== REFS (Persistent Values) =====
   // Refs store values that persist across re-renders but don't trigger re-renders when changed
   // Unlike state, changing a ref doesn't cause React to update the UI
@@ -111,15 +368,37 @@ function App() {
   // - left: milliseconds remaining when last state was received
   // - syncedAt: timestamp when we received that state
   // Used to calculate remaining time locally without constant server updates
-  const timeBaseRef = useRef({ left: 0, syncedAt: Date.now() })
+  const timeBaseRef = useRef({ left: 0, syncedAt: Date.now(), paused: false, advanceIn: null, lobbyIn: null })
   
   // Meta reference: stores player metadata in a ref for quick access
   // Used in event handlers where we need current value without waiting for state update
-  const metaRef = useRef({ id: '', color: '', name: '' })
+  // Also holds the resume token, which proves to the server that this identity is ours
+  const metaRef = useRef({ id: '', color: '', name: '', roomCode: '', resumeToken: '' })
   
   // Last identity reference: stores previous identity for reconnection
-  // When user refreshes or reconnects, we can restore their name, color, and score
-  const lastIdentityRef = useRef(null)
+  // When user reconnects, we can restore their name, color, room, and score
+  // Starts from localStorage, so a page refresh reconnects too
+  const lastIdentityRef = useRef(savedIdentity)
+
+  // Reconnect bookkeeping (refs, because the socket's event handlers read them)
+  // - reconnectAttemptRef: failed attempts since the last good connection
+  // - retryTimerRef: pending automatic retry
+  // - leavingRef: the player closed the connection on purpose ("Leave"), so don't retry
+  const reconnectAttemptRef = useRef(0)
+  const retryTimerRef = useRef(null)
+  const leavingRef = useRef(false)
+
+  // Requests reference: numbers our messages and remembers their types (see encodeMessage)
+  // Successful requests get no reply, so only the last MAX_PENDING_REQUESTS are kept
+  const requestsRef = useRef({ nextId: 1, pending: new Map() })
+
+  // Server state reference: the state as the server last described it, and its version
+  // Patches are applied to this; resyncing is set while we wait for a full state after a gap
+  const serverStateRef = useRef({ version: 0, state: null, resyncing: false })
+
+  // Admin token reference: session token from a successful 'admin-login'
+  // Sent with admin commands instead of the password; only kept in memory
+  const adminTokenRef = useRef('')
 
   /**
    * WebSocket Connection Effect
@@ -132,6 +411,8 @@ function App() {
    * 2. Sets up event listeners for connection events (open, close, error)
    * 3. Sets up message handler to process server updates
    * 4. Returns cleanup function to close connection when component unmounts
+   * 5. If the connection drops by itself, schedules a new attempt
+   *    (see reconnectDelay) - which re-runs this effect via connVersion
    * 
    * Why useEffect: We need to set up the connection when component loads,
    * and clean it up when component is removed or connection needs to be reset.
@@ -149,12 +430,14 @@ function App() {
     const socket = new WebSocket(WS_URL)
     socketRef.current = socket // Store reference so we can access it later
     setConnection('connecting') // Update UI to show we're trying to connect
+    let disposed = false // Set when this effect is cleaned up (we closed it, not the network)
 
     /**
      * Handle State Updates from Server
      * 
      * This function processes game state received from the server.
-     * The server sends the complete game state, and we update our local state to match.
+     * The server sends the complete game state once and then patches to it
+     * (applied in the 'patch' handler); either way we end up with the whole state.
      * 
      * Why this approach: The server is the "source of truth". All game logic happens
      * on the server, and clients just display what the server tells them. This ensures
@@ -166,12 +449,23 @@ function App() {
       // Update session state with new data from server
       // This triggers React to re-render the UI with new information
       setSession(state || emptySession())
+
+      // The audit trail lives on the final screen; fetch it fresh after the next game
+      if (state?.phase !== 'ended' && state?.phase !== 'reveal') setAuditTrail(null)
       
       // Update timer synchronization
       // Server sends "timeLeft" (milliseconds remaining), we store it with current timestamp
       // Later we calculate: remaining = timeLeft - (now - syncedAt)
       // This allows smooth countdown without constant server updates
-      timeBaseRef.current = { left: state?.timeLeft || 0, syncedAt: Date.now() }
+      // (while paused the remaining time stays where it is)
+      // The auto-advance countdowns work the same way
+      timeBaseRef.current = {
+        left: state?.timeLeft || 0,
+        syncedAt: Date.now(),
+        paused: Boolean(state?.paused),
+        advanceIn: state?.advanceIn ?? null,
+        lobbyIn: state?.lobbyIn ?? null,
+      }
 
       // Update player metadata if server has new information
       // This happens when server confirms our name or assigns us a color
@@ -208,11 +502,30 @@ function App() {
      * Connection Closed
      * 
      * Fired when WebSocket connection is closed (server shutdown, network issue, etc.)
-     * We update UI to show disconnected status.
+     * Unless we closed it ourselves, we show the reconnecting banner and
+     * try again after a growing, randomised delay.
+     * Close code 1008 means the server's rate limit cut us off; we say so.
+     * REPLACED_CLOSE_CODE means the same player was resumed in another tab or
+     * device; retrying would only take it back, so we stop (showing the page
+     * again reconnects, see the wake-up effect).
      */
-    socket.addEventListener('close', () => {
+    socket.addEventListener('close', (event) => {
       console.log('WebSocket disconnected')
-      setConnection('disconnected')
+      if (event.code === 1008) setServerError('Disconnected for sending too many requests.')
+      if (event.code === REPLACED_CLOSE_CODE) {
+        setServerError('You are playing in another tab or device.')
+        setConnection('disconnected')
+        return
+      }
+      if (disposed || leavingRef.current) {
+        setConnection('disconnected')
+        return
+      }
+      const attempt = reconnectAttemptRef.current
+      reconnectAttemptRef.current = attempt + 1
+      setRetryAttempt(attempt + 1)
+      setConnection('reconnecting')
+      retryTimerRef.current = setTimeout(() => setConnVersion((n) => n + 1), reconnectDelay(attempt))
     })
     
     /**
@@ -233,8 +546,11 @@ function App() {
      * Messages are JSON strings that we parse and handle based on their "type".
      * 
      * Message Types:
-     * - 'init': Initial connection setup, includes our ID and current game state
-     * - 'state': Game state update (new question, answer counts, scores, etc.)
+     * - 'init': Initial connection setup, includes our ID
+     * - 'room': Server confirmed which room we are in
+     * - 'state': Full game state (on joining a room, or after a resync)
+     * - 'patch': What changed in the game state since the last update
+     * - 'error': A request failed (e.g. unknown room code)
      */
     socket.addEventListener('message', (event) => {
       let data
@@ -253,58 +569,214 @@ function App() {
          * Init Message
          * 
          * First message received when connecting. Contains:
+         * - protocolVersion: The server's message protocol version (see protocol.schema.json)
          * - clientId: Our unique identifier
+         * - resumeToken: Secret token that lets us reclaim this identity later
          * - color: Our assigned color
          * - name: Our current name (empty if not set)
-         * - state: Current game state
+         * - state: Current game state (null until we are in a room)
          * 
          * After receiving init, we try to "resume" our previous identity
          * if we had one (from lastIdentityRef). This allows reconnection
-         * without losing our name, color, and progress.
+         * without losing our name, color, room, and progress.
          */
         case 'init': {
           // Store our identity in both ref and state
-          metaRef.current = { id: data.clientId, color: data.color, name: data.name }
-          setMeta({ id: data.clientId, color: data.color, name: data.name })
+          // roomCode stays empty until the server sends a 'room' message
+          metaRef.current = { id: data.clientId, color: data.color, name: data.name, roomCode: '', resumeToken: data.resumeToken }
+          serverStateRef.current = { version: 0, state: null, resyncing: false } // New connection, new version count
+          setMeta({ id: data.clientId, color: data.color, name: data.name, roomCode: '' })
           setNameInput((prev) => prev || '') // Keep existing input if we have one
           handleState(data.state) // Update game state
           setConnection('connected')
+          // A server on another protocol version rejects everything we send
+          if (data.protocolVersion !== PROTOCOL_VERSION) {
+            setServerError('The quiz server has been updated. Reload the page to keep playing.')
+          }
+          reconnectAttemptRef.current = 0 // Back online - the next drop starts the backoff again
+          setRetryAttempt(0)
           
           // Try to resume previous identity
           // This allows reconnection without losing progress
-          if (lastIdentityRef.current?.id) {
+          if (lastIdentityRef.current?.resumeToken) {
             // Send resume message to server with our previous identity
+            // The token (not the id) is what proves the identity is ours
             socket.send(
-              JSON.stringify({
-                type: 'resume',
-                clientId: lastIdentityRef.current.id,
-                name: lastIdentityRef.current.name,
-                color: lastIdentityRef.current.color,
-              })
+              encodeMessage(
+                {
+                  type: 'resume',
+                  resumeToken: lastIdentityRef.current.resumeToken,
+                  name: lastIdentityRef.current.name,
+                  color: lastIdentityRef.current.color,
+                  roomCode: lastIdentityRef.current.roomCode,
+                },
+                requestsRef.current
+              )
             )
-            // Update our local state with previous identity
-            metaRef.current = { ...metaRef.current, ...lastIdentityRef.current }
-            setMeta((prev) => ({ ...prev, ...lastIdentityRef.current }))
+            // Update our local name and color straight away
+            // (id and room are only restored once the server accepts the token)
+            const { name, color } = lastIdentityRef.current
+            metaRef.current = { ...metaRef.current, name, color }
+            setMeta((prev) => ({ ...prev, name, color }))
           } else {
             // First time connecting, save our identity for future reconnections
             lastIdentityRef.current = metaRef.current
+            saveIdentity(lastIdentityRef.current)
           }
           setHasLeft(false) // We're back in the game
           break
         }
         
         /**
-         * State Update Message
+         * State Message
          * 
-         * Regular updates from server containing current game state.
+         * The complete game state, sent when we join a room and after a resync.
+         * Later updates arrive as patches against it.
+         */
+        case 'state': {
+          serverStateRef.current = { version: data.version, state: data.state, resyncing: false }
+          handleState(data.state)
+          break
+        }
+
+        /**
+         * Patch Message
+         * 
+         * Regular updates from server: only what changed since the last update.
          * This could be:
          * - New question started
          * - Answer counts updated
          * - Scores changed
          * - Phase changed (question -> reveal -> ended)
+         * 
+         * Versions go up by one per update. If one is missing (or we have no
+         * state to patch), our copy can't be trusted, so we ask for a full
+         * state with 'resync' and skip patches until it arrives.
          */
-        case 'state': {
-          handleState(data.state)
+        case 'patch': {
+          const current = serverStateRef.current
+          if (current.resyncing) break
+          if (!current.state || data.version !== current.version + 1) {
+            serverStateRef.current = { ...current, resyncing: true }
+            socket.send(encodeMessage({ type: 'resync' }, requestsRef.current))
+            break
+          }
+          const state = applyPatch(current.state, data.changes)
+          serverStateRef.current = { version: data.version, state, resyncing: false }
+          handleState(state)
+          break
+        }
+
+        /**
+         * Identity Restored
+         * 
+         * Server accepted our resume token. We get our old id back
+         * (and with it our score) plus a fresh token for next time.
+         */
+        case 'identity': {
+          metaRef.current = { ...metaRef.current, id: data.clientId, resumeToken: data.resumeToken }
+          lastIdentityRef.current = { ...metaRef.current }
+          saveIdentity(lastIdentityRef.current)
+          setMeta((prev) => ({ ...prev, id: data.clientId }))
+          break
+        }
+
+        /**
+         * Room Message
+         * 
+         * Server confirmed we joined (or created) a room.
+         * We remember the code so a reconnect can put us back in the same room.
+         */
+        case 'room': {
+          metaRef.current = { ...metaRef.current, roomCode: data.roomCode }
+          lastIdentityRef.current = { ...metaRef.current }
+          saveIdentity(lastIdentityRef.current)
+          setMeta((prev) => ({ ...prev, roomCode: data.roomCode }))
+          setRoomInput(data.roomCode)
+          setServerError('')
+          break
+        }
+
+        /**
+         * Error Message
+         * 
+         * Server could not complete a request, e.g. the room code was wrong,
+         * only the host can do that, or the question has already closed.
+         * Contains:
+         * - code: Error code from protocol.schema.json (e.g. 'not-host', 'wrong-phase')
+         * - message: Text to show the player
+         * - requestId: Which of our requests failed (see encodeMessage)
+         * 
+         * Shown on every screen. If our 'resume' was refused (invalid or
+         * expired token), we carry on with the fresh identity from 'init'
+         * and forget the old room. Other errors keep the saved token, so
+         * the next reconnect can still take the seat back.
+         */
+        case 'error': {
+          const failedType = requestsRef.current.pending.get(data.requestId)
+          requestsRef.current.pending.delete(data.requestId)
+          setServerError(data.message || 'Something went wrong')
+          if (failedType === 'resume' && data.code === 'resume-refused') {
+            metaRef.current = { ...metaRef.current, roomCode: '' }
+            lastIdentityRef.current = { ...metaRef.current }
+            saveIdentity(lastIdentityRef.current)
+          }
+          break
+        }
+
+        /**
+         * Results Export
+         * 
+         * Server's answer to 'export-results' (host only).
+         * Saves the report as a file through a temporary download link.
+         */
+        case 'export': {
+          const type = data.format === 'json' ? 'application/json' : 'text/csv'
+          const url = URL.createObjectURL(new Blob([data.content], { type }))
+          const link = document.createElement('a')
+          link.href = url
+          link.download = data.filename
+          link.click()
+          URL.revokeObjectURL(url)
+          break
+        }
+
+        /**
+         * Audit Trail
+         * 
+         * Server's answer to 'get-audit' (host only): who started, advanced,
+         * reconfigured or restarted games in the room, and who the server
+         * disconnected, oldest first.
+         */
+        case 'audit': {
+          setAuditTrail({ roomCode: data.roomCode, entries: data.entries || [] })
+          break
+        }
+
+        /**
+         * Admin Auth Result
+         * 
+         * Server's answer to 'admin-login', 'admin-logout' or a rejected admin command.
+         * 
+         * How it works:
+         * - ok: store the session token and open the admin panel
+         * - not ok: drop any token we had (wrong password, lockout,
+         *   expired session or logout) and show the reason in the modal
+         */
+        case 'admin-auth': {
+          setAdminPending(false)
+          if (data.ok) {
+            adminTokenRef.current = data.token
+            setIsAdmin(true)
+            setAdminError('')
+            setShowPasswordModal(false)
+            setShowAdminPanel(true)
+          } else {
+            adminTokenRef.current = ''
+            setIsAdmin(false)
+            setShowAdminPanel(false)
+            setAdminError(data.message || 'Admin login failed')
+          }
           break
         }
         default:
@@ -317,11 +789,16 @@ function App() {
      * 
      * This function runs when:
      * - Component unmounts (user navigates away)
-     * - connVersion changes (user clicks reconnect)
+     * - connVersion changes (user clicks reconnect, or an automatic retry)
      * 
-     * It closes the WebSocket connection to prevent memory leaks.
+     * It closes the WebSocket connection to prevent memory leaks,
+     * and cancels any retry this connection scheduled.
      */
-    return () => socket.close()
+    return () => {
+      disposed = true
+      clearTimeout(retryTimerRef.current)
+      socket.close()
+    }
   }, [connVersion]) // Re-run when connVersion changes (allows reconnection)
 
   /**
@@ -338,6 +815,42 @@ function App() {
     return () => clearInterval(timer) // Cleanup: stop timer when component unmounts
   }, [])
 
+  /**
+   * Wake-Up Reconnect Effect
+   * 
+   * Phones suspend pages and drop their sockets while the screen is off.
+   * When the page is shown again (or the network comes back) and we're not
+   * connected, reconnect straight away instead of waiting out the backoff.
+   */
+  useEffect(() => {
+    const wake = () => {
+      if (document.visibilityState === 'hidden' || leavingRef.current) return
+      const socket = socketRef.current
+      if (socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING)) return
+      clearTimeout(retryTimerRef.current)
+      setConnVersion((n) => n + 1)
+    }
+    document.addEventListener('visibilitychange', wake)
+    window.addEventListener('online', wake)
+    return () => {
+      document.removeEventListener('visibilitychange', wake)
+      window.removeEventListener('online', wake)
+    }
+  }, [])
+
+  /**
+   * Error Auto-Hide Effect
+   * 
+   * During a game, errors (e.g. "Only the host can do that.") show in a banner
+   * over the question. It hides itself after ERROR_DISPLAY_MS so it doesn't
+   * linger into the next question. The join and lobby screens keep theirs.
+   */
+  useEffect(() => {
+    if (!serverError || session.phase === 'lobby') return
+    const timer = setTimeout(() => setServerError(''), ERROR_DISPLAY_MS)
+    return () => clearTimeout(timer)
+  }, [serverError, session.phase])
+
   /**
    * Send Message to Server
    * 
@@ -345,7 +858,8 @@ function App() {
    * 
    * How it works:
    * 1. Check if WebSocket is connected (readyState === OPEN)
-   * 2. Convert JavaScript object to JSON string
+   * 2. Convert JavaScript object to JSON string, adding the protocol
+   *    version and a request id (see encodeMessage)
    * 3. Send via WebSocket
    * 
    * Returns true if sent successfully, false otherwise.
@@ -354,7 +868,7 @@ function App() {
     const socket = socketRef.current
     if (socket?.readyState === WebSocket.OPEN) {
       // WebSocket.OPEN means connection is ready to send/receive
-      socket.send(JSON.stringify(payload))
+      socket.send(encodeMessage(payload, requestsRef.current))
       return true
     } else {
       // Connection not ready - log warning
@@ -366,13 +880,14 @@ function App() {
   /**
    * Countdown Timer Calculation
    * 
-   * This calculates how much time is left for the current question.
+   * This calculates how much time is left for the current question
+   * (and, in auto-advance mode, until the reveal moves on).
    * 
    * How it works:
    * 1. Server sends "timeLeft" (milliseconds) when state updates
    * 2. We store it with current timestamp in timeBaseRef
    * 3. We calculate: elapsed = now - syncedAt
-   * 4. Remaining = timeLeft - elapsed
+   * 4. Remaining = timeLeft - elapsed (or just timeLeft while the host has paused)
    * 
    * Why this approach: Server sends timeLeft every few seconds, but we need
    * smooth countdown. By calculating locally, we get smooth updates without
@@ -381,19 +896,53 @@ function App() {
    * useMemo: Only recalculate when session.phase, questionIndex, or tick changes.
    * This prevents unnecessary calculations on every render.
    */
-  const countdownMs = useMemo(() => {
-    const elapsed = Date.now() - timeBaseRef.current.syncedAt // How much time has passed
-    return Math.max(0, (timeBaseRef.current.left || 0) - elapsed) // Remaining time, never negative
-  }, [session.phase, session.questionIndex, tick]) // Recalculate when these change
+  const elapsedMs = useMemo(
+    () => Date.now() - timeBaseRef.current.syncedAt, // How much time has passed since the last state
+    [session.phase, session.questionIndex, tick] // Recalculate when these change
+  )
+  const countdownMs = timeBaseRef.current.paused
+    ? timeBaseRef.current.left // Frozen until the host resumes
+    : Math.max(0, (timeBaseRef.current.left || 0) - elapsedMs) // Remaining time, never negative
 
   // Convert milliseconds to seconds for display
   const secondsLeft = Math.ceil(countdownMs / 1000)
+
+  // Auto-advance: seconds until the reveal (or the final results) move on by themselves
+  // null when the game waits for the host
+  const autoSecondsLeft = (() => {
+    const { advanceIn, lobbyIn } = timeBaseRef.current
+    const ms = session.phase === 'reveal' ? advanceIn : session.phase === 'ended' ? lobbyIn : null
+    if (ms === null || ms === undefined) return null
+    return Math.max(0, Math.ceil((ms - elapsedMs) / 1000))
+  })()
+  const isFinalReveal = session.phase === 'reveal' && session.questionIndex + 1 >= session.totalQuestions
   
-  // Calculate progress for visual timer (0 to 1, where 1 = time's up)
-  const progress = session.phase === 'question' ? countdownMs / QUESTION_MS : 0
+  // Calculate progress for visual timer (1 = full time left, 0 = time's up)
+  // Measured against the full duration, so added time refills the ring instead of overflowing it
+  const progress = session.phase === 'question' && session.duration ? Math.min(1, countdownMs / session.duration) : 0
   
   // Get current player's answer
+  // (an index, or an array of indexes for multi questions)
   const yourAnswer = session.youAnswered
+
+  // Notes for the wrong options we picked (reveal only - the server sends no notes before)
+  const revealCorrect = session.question?.correct
+  const wrongPickNotes = (Array.isArray(yourAnswer) ? yourAnswer : [yourAnswer])
+    .filter((idx) => Number.isInteger(idx))
+    .filter((idx) => (Array.isArray(revealCorrect) ? !revealCorrect.includes(idx) : idx !== revealCorrect))
+    .map((idx) => ({ idx, note: session.question?.optionNotes?.[idx] }))
+    .filter(({ note }) => note)
+  const hasAnswered = yourAnswer !== undefined && yourAnswer !== null
+
+  // Current question type (older servers don't send one)
+  const questionType = session.question?.type || 'single'
+
+  // Options ticked so far on the current multi question
+  const questionKey = `${session.questionIndex}:${session.question?.id || ''}`
+  const multiPicks = multiPick.key === questionKey ? multiPick.picks : []
+
+  // Number typed so far on the current numeric question
+  const numericValue = numericInput.key === questionKey ? numericInput.value : ''
   
   /**
    * Can Answer Check
@@ -403,7 +952,8 @@ function App() {
    * Conditions:
    * 1. Player must have a name (can't answer anonymously)
    * 2. Game must be in 'question' phase (not reveal or ended)
-   * 3. Player hasn't already answered this question
+   * 3. The host hasn't paused the timer
+   * 4. Player hasn't already answered this question
    * 
    * This prevents:
    * - Answering before question starts
@@ -413,39 +963,96 @@ function App() {
   const canAnswer =
     Boolean(meta.name || metaRef.current.name) &&
     session.phase === 'question' &&
-    typeof yourAnswer !== 'number'
+    !session.paused &&
+    !hasAnswered
+
+  // Host: the one player whose Start / Next / lobby controls the server accepts
+  const isHost = Boolean(meta.id) && session.hostId === meta.id
+  const hostName = session.players?.find((p) => p.id === session.hostId)?.name || 'the host'
+  const onlineCount = session.players?.filter((p) => p.online).length || 0
+
+  /**
+   * Connection Quality Tag (Host)
+   * 
+   * Round-trip time from the server's heartbeat, so the host can tell
+   * who is on a bad connection. Nothing for other players or offline players.
+   * 
+   * @param {object} player - Entry from session.players
+   * @returns {JSX.Element|null} Tag, or null
+   */
+  const qualityTag = (player) => {
+    const health = player.online ? session.connections?.[player.id] : null // Only hosts get connections
+    if (!health?.quality) return null
+    return (
+      <span
+        className={`quality-tag ${health.quality}`}
+        title={health.quality === 'poor' && health.latencyMs === null ? 'Not answering' : `Round trip ${health.latencyMs} ms`}
+      >
+        {health.latencyMs === null ? health.quality : `${health.latencyMs} ms`}
+      </span>
+    )
+  }
+
+  // Bank picked in the lobby (for its topic list and question count)
+  const currentBank = session.banks?.find((bank) => bank.id === session.bankId)
 
   // Human-readable status text for display
   const statusCopy = {
     lobby: 'Waiting',
-    question: 'Answering',
+    question: session.paused ? 'Paused' : 'Answering',
     reveal: 'Reveal',
     ended: 'Finished',
   }[session.phase] || '—'
 
   /**
-   * Handle Name Submission
+   * Handle Join Submission
    * 
-   * Called when user submits their name in the name input form.
+   * Called when user submits the name form with a room code.
    * 
    * Steps:
    * 1. Prevent form default submission (page refresh)
-   * 2. Validate name is not empty
-   * 3. Send 'set-name' message to server
+   * 2. Validate name and room code are not empty
+   * 3. Send 'join-room' message to server
    * 4. Update local state and refs
-   * 5. Save to lastIdentityRef for reconnection
+   * 5. Save to lastIdentityRef (and localStorage) for reconnection
+   * 
+   * The server answers with a 'room' message (success) or an 'error'.
    */
   const handleNameSubmit = (event) => {
     event.preventDefault() // Prevent page refresh
-    if (!nameInput.trim()) return // Don't submit empty names
-    
-    // Send name to server
-    send({ type: 'set-name', name: nameInput.trim() })
+    if (!nameInput.trim() || !roomInput.trim()) return // Need both name and code
     
-    // Update local state immediately (optimistic update)
-    metaRef.current = { ...metaRef.current, name: nameInput.trim() }
-    lastIdentityRef.current = { ...metaRef.current, name: nameInput.trim() }
-    setMeta((prev) => ({ ...prev, name: nameInput.trim() }))
+    setServerError('')
+    // Send name and room code to server
+    send({ type: 'join-room', roomCode: roomInput.trim().toUpperCase(), name: nameInput.trim() })
+    rememberName(nameInput.trim())
+  }
+
+  /**
+   * Create Room
+   * 
+   * Asks the server for a new room. Whoever creates it gets the join code
+   * to share with the rest of the class.
+   */
+  const createRoom = () => {
+    if (!nameInput.trim()) return // Must have a name
+    setServerError('')
+    send({ type: 'create-room', name: nameInput.trim() })
+    rememberName(nameInput.trim())
+  }
+
+  /**
+   * Remember Name
+   * 
+   * Optimistically stores the chosen name locally and for reconnection.
+   * 
+   * @param {string} name - The chosen display name
+   */
+  const rememberName = (name) => {
+    metaRef.current = { ...metaRef.current, name }
+    lastIdentityRef.current = { ...metaRef.current }
+    saveIdentity(lastIdentityRef.current)
+    setMeta((prev) => ({ ...prev, name }))
   }
 
   /**
@@ -459,6 +1066,109 @@ function App() {
     send({ type: 'start' })
   }
   
+  /**
+   * Select Question Bank
+   * 
+   * Picks which question bank the room plays next.
+   * Server only accepts this in the lobby (or after a game has ended).
+   * 
+   * @param {string} bankId - Id of the bank to use
+   */
+  const selectBank = (bankId) => send({ type: 'select-bank', bankId })
+
+  /**
+   * Select Scoring Mode
+   * 
+   * Classic gives 1 point per correct answer; speed gives more points
+   * the faster a correct answer comes in. Lobby only.
+   * 
+   * @param {string} scoringMode - 'classic' or 'speed'
+   */
+  const selectScoring = (scoringMode) => send({ type: 'select-scoring', scoringMode })
+
+  /**
+   * Set Time Limit (Host)
+   * 
+   * Default seconds per question. Questions with their own
+   * time limit in the bank keep it. Lobby only.
+   * 
+   * @param {number} seconds - Seconds per question
+   */
+  const setTimeLimit = (seconds) => send({ type: 'set-time-limit', seconds })
+
+  /**
+   * Set Live Counts (Host)
+   * 
+   * Lets players see how many picked each option while the question is open.
+   * Off by default; the host always sees counts.
+   * 
+   * @param {boolean} enabled - Show counts to players before the reveal
+   */
+  const setLiveCounts = (enabled) => send({ type: 'set-live-counts', enabled })
+
+  /**
+   * Set Question Draw (Host)
+   * 
+   * Changes how the next game's questions are picked from the bank.
+   * Only the fields passed are changed.
+   * 
+   * @param {object} draw - { questionCount?, topic?, randomOrder? }
+   */
+  const setQuestionDraw = (draw) => send({ type: 'set-question-draw', ...draw })
+
+  /**
+   * Set Shuffle Options (Host)
+   * 
+   * Gives every player their own option order, so answers
+   * can't be shared as "it's B". True/false is never shuffled.
+   * 
+   * @param {boolean} enabled - Shuffle options per player
+   */
+  const setShuffleOptions = (enabled) => send({ type: 'set-shuffle-options', enabled })
+
+  /**
+   * Set Auto-Reveal (Host)
+   * 
+   * Reveals each question as soon as every connected player has answered,
+   * instead of waiting for the timer.
+   * 
+   * @param {boolean} enabled - Reveal early once all answers are in
+   */
+  const setAutoReveal = (enabled) => send({ type: 'set-auto-reveal', enabled })
+
+  /**
+   * Timer Controls (Host)
+   * 
+   * Pause / resume the question timer, give the room more time,
+   * or reveal the answer straight away.
+   */
+  const pauseTimer = () => send({ type: 'pause-timer' })
+  const resumeTimer = () => send({ type: 'resume-timer' })
+  const addTime = (seconds) => send({ type: 'add-time', seconds })
+  const revealNow = () => send({ type: 'reveal-now' })
+
+  /**
+   * Set Auto-Advance (Host)
+   * 
+   * Hands-free mode: every reveal moves on by itself after revealDelay
+   * seconds, and the final results can go back to the lobby on their own.
+   * Only the fields passed are changed.
+   * 
+   * @param {object} settings - { enabled?, revealSeconds?, returnToLobby? }
+   */
+  const setAutoAdvance = (settings) => send({ type: 'set-auto-advance', ...settings })
+
+  /**
+   * Reload Question Banks
+   * 
+   * Asks the server to re-read bank files from disk, so edited banks
+   * show up without restarting the server.
+   */
+  const reloadBanks = () => {
+    setServerError('')
+    send({ type: 'reload-banks' })
+  }
+
   /**
    * Next Question
    * 
@@ -475,6 +1185,8 @@ function App() {
    */
   const goLobby = () => {
     setHasLeft(true) // Show "rejoin" screen
+    leavingRef.current = true // Don't reconnect by ourselves
+    clearTimeout(retryTimerRef.current)
     const socket = socketRef.current
     if (socket) socket.close() // Close connection
     setSession(emptySession()) // Reset state
@@ -486,17 +1198,57 @@ function App() {
    * 
    * Sends answer choice to server.
    * 
-   * @param {number} idx - The option index (0-3 for A-D)
+   * @param {number} idx - The option index (0 for A, 1 for B, ...)
    */
   const answer = (idx) => send({ type: 'answer', optionIndex: idx })
+
+  /**
+   * Toggle Multi-Select Option
+   * 
+   * Ticks or unticks an option on a "select all that apply" question.
+   * Nothing is sent until the player submits.
+   * 
+   * @param {number} idx - The option index
+   */
+  const toggleMultiPick = (idx) => {
+    const picks = multiPicks.includes(idx) ? multiPicks.filter((i) => i !== idx) : [...multiPicks, idx]
+    setMultiPick({ key: questionKey, picks })
+  }
+
+  /**
+   * Submit Multi-Select Answer
+   * 
+   * Sends every ticked option at once. Like other answers, it can't be changed afterwards.
+   */
+  const submitMultiAnswer = () => {
+    if (!multiPicks.length) return
+    send({ type: 'answer', optionIndexes: [...multiPicks].sort((a, b) => a - b) })
+  }
+
+  /**
+   * Submit Numeric Answer
+   * 
+   * Sends the typed estimate. The server scores it by how close it is to the true value.
+   */
+  const submitNumericAnswer = (event) => {
+    event.preventDefault() // Prevent page refresh
+    const value = Number(numericValue)
+    if (numericValue.trim() === '' || !Number.isFinite(value)) return
+    send({ type: 'answer', value })
+  }
   
   /**
    * Reconnect
    * 
    * Forces WebSocket reconnection by incrementing connVersion.
    * This triggers the useEffect hook to create a new connection.
+   * Also used by "Rejoin" and "Retry now", so it skips any pending automatic retry.
    */
-  const reconnect = () => setConnVersion((n) => n + 1)
+  const reconnect = () => {
+    leavingRef.current = false
+    clearTimeout(retryTimerRef.current)
+    setConnVersion((n) => n + 1)
+  }
   
   /**
    * Return to Lobby (All Players)
@@ -505,6 +1257,50 @@ function App() {
    * Only works when game has ended.
    */
   const returnToLobby = () => send({ type: 'return-to-lobby' })
+
+  /**
+   * Export Results (Host)
+   * 
+   * Asks the server for the finished game's gradebook.
+   * The file arrives as an 'export' message and is downloaded from there.
+   * 
+   * @param {string} format - 'csv' or 'json'
+   */
+  const exportResults = (format) => send({ type: 'export-results', format })
+
+  /**
+   * Toggle Audit Trail (Host)
+   * 
+   * Asks the server for a room's audit trail, or hides it again.
+   * The entries arrive as an 'audit' message.
+   * 
+   * @param {string} [roomCode] - Room to ask about (default: the room we are in).
+   *   A host can still read a closed room's trail from the join screen
+   */
+  const toggleAuditTrail = (roomCode) => {
+    if (auditTrail) setAuditTrail(null)
+    else send(roomCode ? { type: 'get-audit', roomCode } : { type: 'get-audit' })
+  }
+
+  /**
+   * Transfer Host
+   * 
+   * Hands the game controls to another player in the room.
+   * Only the current host's request is accepted by the server.
+   * 
+   * @param {string} playerId - Client ID of the new host
+   */
+  const transferHost = (playerId) => send({ type: 'transfer-host', playerId })
+
+  /**
+   * Claim Host (Admin)
+   * 
+   * Takes host controls of this room using the admin session token.
+   */
+  const claimHost = () => {
+    send({ type: 'claim-host', token: adminTokenRef.current })
+    setShowAdminPanel(false)
+  }
   
   /**
    * Admin Restart Quiz
@@ -513,11 +1309,12 @@ function App() {
    * Server will reset game and start from question 1.
    * 
    * Security: Only works if user is authenticated as admin (isAdmin === true).
-   * Server also validates the password.
+   * Server also validates the session token; if it has expired the server
+   * replies with 'admin-auth' { ok: false } and we ask for the password again.
    */
   const adminRestart = () => {
     // Check if user is admin
-    if (!isAdmin) {
+    if (!isAdmin || !adminTokenRef.current) {
       alert('You are not an admin. Please login as admin first.')
       return
     }
@@ -530,101 +1327,58 @@ function App() {
       return
     }
     
-    // Send restart command with password
-    console.log('Sending admin-restart command')
-    const sent = send({ type: 'admin-restart', password: '1234' })
+    // Send restart command with the session token (never the password)
+    const sent = send({ type: 'admin-restart', token: adminTokenRef.current })
     if (sent) {
       setShowAdminPanel(false) // Close admin panel
-      console.log('Admin restart command sent successfully')
     } else {
       alert('Failed to send restart command. Please check your connection.')
     }
   }
   
   /**
-   * Handle Password Input (4-digit code)
+   * Handle Admin Login Submit
    * 
-   * Processes input for the 4-digit password fields.
+   * Sends the typed password to the server for checking.
+   * The password is cleared from state straight away; the server
+   * replies with 'admin-auth' (see message handler above).
    * 
-   * Features:
-   * - Only allows numeric input (filters out letters)
-   * - Auto-focuses next field when digit entered
-   * - Auto-submits when all 4 digits entered
-   * 
-   * @param {number} index - Which input field (0-3)
-   * @param {string} value - The input value
+   * @param {Event} e - Form submit event
    */
-  const handlePasswordInput = (index, value) => {
-    // Only allow numeric input - remove any non-digit characters
-    const numericValue = value.replace(/[^0-9]/g, '')
-    if (numericValue.length > 1) return // Only allow single digit
-    
-    // Update password input array
-    const newInput = [...passwordInput] // Copy array (don't mutate state directly)
-    newInput[index] = numericValue
-    setPasswordInput(newInput)
-    
-    // Auto-focus next input field when digit is entered
-    // This creates a smooth "verification code" experience
-    if (numericValue && index < 3) {
-      const nextInput = document.getElementById(`password-${index + 1}`)
-      if (nextInput) nextInput.focus()
-    }
-    
-    // Auto-submit when all 4 digits are entered
-    // This happens automatically - user doesn't need to click confirm
-    if (index === 3 && numericValue) {
-      // Use the updated newInput array directly (before state update completes)
-      // This is important because setState is asynchronous
-      const finalPassword = newInput.join('')
-      if (finalPassword.length === 4) {
-        setTimeout(() => {
-          // Verify password and grant admin access
-          if (finalPassword === '1234') {
-            setIsAdmin(true) // Grant admin privileges
-            setShowPasswordModal(false) // Close password modal
-            setShowAdminPanel(true) // Open admin panel
-            setPasswordInput(['', '', '', '']) // Clear password fields
-          } else {
-            alert('Incorrect password')
-            setPasswordInput(['', '', '', '']) // Clear on wrong password
-          }
-        }, 150) // Small delay to ensure state updates
-      }
+  const handleAdminLogin = (e) => {
+    e.preventDefault()
+    if (!passwordInput || adminPending) return
+    const sent = send({ type: 'admin-login', password: passwordInput })
+    setPasswordInput('')
+    if (sent) {
+      setAdminPending(true)
+      setAdminError('')
+    } else {
+      setAdminError('Not connected to the server. Please reconnect.')
     }
   }
-  
+
   /**
-   * Handle Manual Password Submit
+   * Admin Logout
    * 
-   * Called when user clicks "Confirm" button in password modal.
-   * Same logic as auto-submit, but triggered by button click.
+   * Asks the server to revoke our token and forgets it locally.
    */
-  const handlePasswordSubmitManual = () => {
-    const password = passwordInput.join('') // Combine all 4 digits
-    if (password === '1234') {
-      setIsAdmin(true)
-      setShowPasswordModal(false)
-      setShowAdminPanel(true)
-      setPasswordInput(['', '', '', ''])
-    } else {
-      alert('Incorrect password')
-      setPasswordInput(['', '', '', ''])
-    }
+  const adminLogout = () => {
+    send({ type: 'admin-logout', token: adminTokenRef.current })
+    adminTokenRef.current = ''
+    setIsAdmin(false)
+    setShowAdminPanel(false)
   }
-  
+
   /**
-   * Handle Password Input Keyboard Navigation
+   * Close Password Modal
    * 
-   * Allows backspace to move to previous field when current field is empty.
-   * This improves UX - users can easily correct mistakes.
+   * Hides the modal and clears anything typed or shown in it.
    */
-  const handlePasswordKeyDown = (index, e) => {
-    if (e.key === 'Backspace' && !passwordInput[index] && index > 0) {
-      // If backspace pressed on empty field, move to previous field
-      const prevInput = document.getElementById(`password-${index - 1}`)
-      if (prevInput) prevInput.focus()
-    }
+  const closePasswordModal = () => {
+    setShowPasswordModal(false)
+    setPasswordInput('')
+    setAdminError('')
   }
 
   /**
@@ -642,8 +1396,8 @@ function App() {
     (a, b) => (session.scores[b.id] || 0) - (session.scores[a.id] || 0),
   )
 
-  // Check if player has set a name
-  const isNamed = Boolean(meta.name)
+  // Check if player has set a name and is in a room
+  const isNamed = Boolean(meta.name && meta.roomCode)
 
   // ===== UI RENDERING =====
   // React renders different UI based on current state
@@ -654,6 +1408,72 @@ function App() {
    * Shown when user intentionally leaves the game.
    * Allows them to rejoin without losing their identity.
    */
+  /**
+   * Reconnecting Banner
+   * 
+   * Shown on every screen while automatic reconnection is under way.
+   * The game keeps showing the last state we had until we're back.
+   */
+  const connectionBanner = retryAttempt > 0 && connection !== 'connected' && (
+    <div className="reconnect-banner" role="status">
+      <span>
+        <strong>Connection lost.</strong> Reconnecting… (attempt {retryAttempt})
+      </span>
+      <button className="ghost small" onClick={reconnect}>
+        Retry now
+      </button>
+    </div>
+  )
+
+  /**
+   * Error Banner
+   * 
+   * Shows the last error from the server on the quiz screen
+   * (the join and lobby screens have their own error box).
+   */
+  const errorBanner = serverError && (
+    <div className="error-banner" role="alert">
+      <strong>{serverError}</strong>
+      <button className="ghost small" onClick={() => setServerError('')}>
+        Dismiss
+      </button>
+    </div>
+  )
+
+  /**
+   * Audit Trail Panel
+   * 
+   * The trail fetched with toggleAuditTrail: one line per action with when,
+   * who, what, the phase change and the new settings. Shown on the final
+   * screen (host only) and on the join screen for a room that has closed.
+   */
+  const auditPanel = auditTrail && (
+    <div className="audit-trail">
+      <p className="label">Audit trail · room {auditTrail.roomCode}</p>
+      {auditTrail.entries.length ? (
+        <ol>
+          {auditTrail.entries.map((entry, i) => (
+            <li key={`${entry.at}-${i}`}>
+              <span className="audit-time">{new Date(entry.at).toLocaleString()}</span>
+              <span className="audit-actor">
+                {entry.actorName || 'Unnamed'}
+                {entry.admin ? ' (admin)' : ''}
+              </span>
+              <span className="audit-action">{entry.action}</span>
+              {/* Phase change, e.g. "lobby → question" */}
+              <span className="muted">
+                {entry.phaseBefore === entry.phaseAfter ? entry.phaseAfter : `${entry.phaseBefore} → ${entry.phaseAfter}`}
+              </span>
+              <span className="muted">{formatAuditDetails(entry.details)}</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="muted">No host actions recorded yet.</p>
+      )}
+    </div>
+  )
+
   if (hasLeft) {
     return (
       <div className="page">
@@ -678,17 +1498,19 @@ function App() {
   /**
    * Name Entry Screen
    * 
-   * Shown when player hasn't set a name yet.
-   * First step before joining the quiz.
+   * Shown when player hasn't set a name or joined a room yet.
+   * First step before joining the quiz: pick a name, then either
+   * enter a room code or create a new room.
    */
   if (!isNamed) {
     return (
       <div className="page">
+        {connectionBanner}
         <header className="hero hero-vertical">
           <div>
             <p className="eyebrow">Pick a name</p>
             <h1>Economics Quiz</h1>
-            <p className="lede">Save a name to join the live quiz. You will start from the current question; missed ones do not score.</p>
+            <p className="lede">Enter your name and the room code from your host. You will start from the current question; missed ones do not score.</p>
             
             {/* Show warning if WebSocket server not configured */}
             {!WS_URL && (
@@ -726,77 +1548,86 @@ function App() {
                 </p>
               </div>
             )}
+
+            {/* Show error from server (e.g. unknown room code) */}
+            {serverError && (
+              <div style={{ 
+                marginTop: '16px', 
+                padding: '12px', 
+                background: '#f8d7da', 
+                border: '1px solid #dc3545', 
+                borderRadius: '6px',
+                color: '#721c24'
+              }}>
+                <strong>{serverError}</strong>
+              </div>
+            )}
           </div>
           <div className="actions stacked">
             <form className="name-form" onSubmit={handleNameSubmit}>
               <label htmlFor="name-input">Name</label>
               <input
                 id="name-input"
+                className="span-2"
                 value={nameInput}
                 onChange={(e) => setNameInput(e.target.value)}
                 placeholder="Enter name"
-                disabled={!WS_URL || connection === 'disconnected'}
+                disabled={!WS_URL || connection !== 'connected'}
+              />
+              <label htmlFor="room-input">Room code</label>
+              <input
+                id="room-input"
+                className="room-code-input"
+                value={roomInput}
+                onChange={(e) => setRoomInput(e.target.value.toUpperCase())}
+                placeholder="e.g. K7QPD"
+                maxLength={8}
+                autoCapitalize="characters"
+                disabled={!WS_URL || connection !== 'connected'}
               />
-              <button type="submit" disabled={!nameInput.trim() || !WS_URL || connection === 'disconnected'}>
-                Save
+              <button
+                type="submit"
+                disabled={!nameInput.trim() || !roomInput.trim() || !WS_URL || connection !== 'connected'}
+              >
+                Join room
               </button>
             </form>
             <div className="control-row">
+              <button
+                className="primary"
+                onClick={createRoom}
+                disabled={!nameInput.trim() || !WS_URL || connection !== 'connected'}
+              >
+                Create room
+              </button>
               <button className="ghost" onClick={reconnect} disabled={!WS_URL}>
                 Reconnect
               </button>
-            </div>
-          </div>
-        </header>
-      </div>
-    )
-  }
-
-  /**
-   * Lobby Screen
-   * 
-   * Shown when game is in 'lobby' phase.
-   * Players wait here until someone starts the game.
-   */
-  if (session.phase === 'lobby') {
-    return (
-      <div className="page">
-        <header className="hero">
-          <div>
-            <p className="eyebrow">Lobby</p>
-            <h1>Economics Quiz</h1>
-            <p className="lede">Player: {meta.name}. Hit start to move everyone to question 1.</p>
-            <div className="pill-row">
-              <span className={`pill status ${connection}`}>{connection}</span>
-              <span className="pill session">
-                You <span className="swatch" style={{ background: meta.color }} /> {meta.name}
-              </span>
-              <span className="pill hint">WS: {WS_URL}</span>
-            </div>
-          </div>
-          <div className="actions stacked">
-            <div className="control-row">
-              <button className="primary" onClick={startGame}>
-                Start
-              </button>
-              <button className="ghost" onClick={reconnect}>
-                Reconnect
+              {/* Hosts can read a closed room's audit trail by its code */}
+              <button
+                className="ghost"
+                onClick={() => toggleAuditTrail(roomInput.trim())}
+                disabled={!auditTrail && (!roomInput.trim() || connection !== 'connected')}
+              >
+                {auditTrail ? 'Hide audit trail' : 'Audit trail'}
               </button>
             </div>
           </div>
         </header>
+        {auditPanel}
       </div>
     )
   }
 
   /**
-   * Quiz Screen (Main Game)
+   * Admin Controls
    * 
-   * Shown during active quiz (question, reveal, or ended phases).
-   * This is the main game interface with questions, answers, timer, and leaderboard.
+   * Admin button, admin panel and password modal.
+   * Shared by the lobby and quiz screens so an admin can log in
+   * (and take host controls) before the game starts.
    */
-  return (
-    <div className="page">
+  const adminControls = (
+    <>
       {/* Admin Button - Top Right Corner */}
       {/* 
         This button allows access to admin features.
@@ -816,7 +1647,7 @@ function App() {
       >
         Admin
       </button>
-      
+
       {/* Admin Panel - Dropdown Menu */}
       {/* 
         Shown when admin clicks the Admin button.
@@ -829,52 +1660,342 @@ function App() {
             <button className="primary" onClick={adminRestart}>
               Restart Quiz
             </button>
+            {!isHost && (
+              <button className="ghost" onClick={claimHost}>
+                Take Host Controls
+              </button>
+            )}
+            <button className="ghost" onClick={adminLogout}>
+              Log Out
+            </button>
             <button className="ghost" onClick={() => setShowAdminPanel(false)}>
               Close
             </button>
           </div>
         </div>
       )}
-      
+
       {/* Password Modal - Admin Authentication */}
       {/* 
         Modal dialog for entering admin password.
-        Uses 4 separate input fields for a "verification code" style experience.
+        The password is checked by the server, which replies with a session token.
       */}
       {showPasswordModal && (
-        <div className="modal-overlay" onClick={() => setShowPasswordModal(false)}>
+        <div className="modal-overlay" onClick={closePasswordModal}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <h3>Admin Verification</h3>
-            <p>Enter 4-digit password</p>
-            <div className="password-inputs">
-              {[0, 1, 2, 3].map((index) => (
+            <p>Enter the admin password</p>
+            <form onSubmit={handleAdminLogin}>
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={passwordInput}
+                onChange={(e) => setPasswordInput(e.target.value)}
+                className="password-input"
+                placeholder="Password"
+                disabled={adminPending}
+                autoFocus
+              />
+              {adminError && <div className="modal-error">{adminError}</div>}
+              <div className="modal-actions">
+                <button type="button" onClick={closePasswordModal} className="ghost">
+                  Cancel
+                </button>
+                <button type="submit" className="primary" disabled={!passwordInput || adminPending}>
+                  {adminPending ? 'Checking...' : 'Confirm'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </>
+  )
+
+  /**
+   * Lobby Screen
+   * 
+   * Shown when game is in 'lobby' phase.
+   * Players wait here until someone starts the game.
+   */
+  if (session.phase === 'lobby') {
+    return (
+      <div className="page">
+        {connectionBanner}
+        <header className="hero">
+          <div>
+            <p className="eyebrow">Lobby</p>
+            <h1>Economics Quiz</h1>
+            <p className="lede">
+              {isHost
+                ? `Player: ${meta.name}. Share the room code, then hit start to move everyone to question 1.`
+                : `Player: ${meta.name}. Waiting for ${hostName} to start the game.`}
+            </p>
+            <div className="pill-row">
+              <span className={`pill status ${connection}`}>{connection}</span>
+              <span className="pill room-code">Room {meta.roomCode}</span>
+              <span className="pill session">
+                You <span className="swatch" style={{ background: meta.color }} /> {meta.name}
+              </span>
+              {isHost && <span className="pill host">Host</span>}
+              <span className="pill hint">WS: {WS_URL}</span>
+            </div>
+
+            {/* Show error from server (e.g. rejected bank file) */}
+            {serverError && (
+              <div style={{ 
+                marginTop: '16px', 
+                padding: '12px', 
+                background: '#f8d7da', 
+                border: '1px solid #dc3545', 
+                borderRadius: '6px',
+                color: '#721c24'
+              }}>
+                <strong>{serverError}</strong>
+              </div>
+            )}
+          </div>
+          <div className="actions stacked">
+            {/* Question Bank Picker */}
+            {/* Everyone in the room sees the same choice; the server broadcasts it */}
+            <div className="lobby-setting">
+              <label htmlFor="bank-select">Question bank</label>
+              <select
+                id="bank-select"
+                value={session.bankId || ''}
+                onChange={(e) => selectBank(e.target.value)}
+                disabled={!isHost || !session.banks?.length}
+              >
+                {!session.banks?.length && <option value="">No banks loaded</option>}
+                {session.banks?.map((bank) => (
+                  <option key={bank.id} value={bank.id}>
+                    {bank.name} ({bank.count} questions)
+                  </option>
+                ))}
+              </select>
+            </div>
+            {/* Topic Filter - only questions tagged with this topic (or category) */}
+            <div className="lobby-setting">
+              <label htmlFor="topic-select">Topic</label>
+              <select
+                id="topic-select"
+                value={session.topic}
+                onChange={(e) => setQuestionDraw({ topic: e.target.value })}
+                disabled={!isHost || !currentBank?.topics?.length}
+              >
+                <option value="">All topics</option>
+                {currentBank?.topics?.map((topic) => (
+                  <option key={topic.name} value={topic.name}>
+                    {topic.name} ({topic.count})
+                  </option>
+                ))}
+              </select>
+            </div>
+            {/* Question Count - how many to draw (blank or 0 = all) */}
+            <div className="lobby-setting">
+              <label htmlFor="question-count">Questions</label>
+              <div className="count-setting">
                 <input
-                  key={index}
-                  id={`password-${index}`}
-                  type="tel"
-                  inputMode="numeric"
-                  pattern="[0-9]*"
-                  maxLength={1}
-                  value={passwordInput[index]}
-                  onChange={(e) => handlePasswordInput(index, e.target.value)}
-                  onKeyDown={(e) => handlePasswordKeyDown(index, e)}
-                  className="password-digit"
-                  autoFocus={index === 0}
+                  id="question-count"
+                  type="number"
+                  min="0"
+                  max={currentBank?.count || undefined}
+                  placeholder="All"
+                  value={session.questionCount || ''}
+                  onChange={(e) => {
+                    const count = Math.max(0, Math.floor(Number(e.target.value) || 0))
+                    setQuestionDraw({ questionCount: count })
+                  }}
+                  disabled={!isHost}
                 />
-              ))}
+                <span className="muted">{session.totalQuestions} will be played</span>
+              </div>
             </div>
-            <div className="modal-actions">
-              <button onClick={() => setShowPasswordModal(false)} className="ghost">
-                Cancel
-              </button>
-              <button onClick={handlePasswordSubmitManual} className="primary">
-                Confirm
+            {/* Question Order / Option Shuffle Toggles */}
+            <div className="lobby-setting">
+              <label htmlFor="random-order">Order</label>
+              <div className="toggle-stack">
+                <label className="toggle">
+                  <input
+                    id="random-order"
+                    type="checkbox"
+                    checked={session.randomOrder}
+                    onChange={(e) => setQuestionDraw({ randomOrder: e.target.checked })}
+                    disabled={!isHost}
+                  />
+                  Random questions in random order
+                </label>
+                <label className="toggle">
+                  <input
+                    type="checkbox"
+                    checked={session.shuffleOptions}
+                    onChange={(e) => setShuffleOptions(e.target.checked)}
+                    disabled={!isHost}
+                  />
+                  Shuffle answer options for each player
+                </label>
+              </div>
+            </div>
+            {/* Scoring Mode Picker */}
+            <div className="lobby-setting">
+              <label htmlFor="scoring-select">Scoring</label>
+              <select
+                id="scoring-select"
+                value={session.scoringMode}
+                onChange={(e) => selectScoring(e.target.value)}
+                disabled={!isHost}
+              >
+                <option value="classic">Classic (1 point per correct answer)</option>
+                <option value="speed">Speed (faster correct answers earn more)</option>
+              </select>
+            </div>
+            {/* Time Limit Picker - default for questions without their own limit */}
+            <div className="lobby-setting">
+              <label htmlFor="time-limit">Time per question</label>
+              <select
+                id="time-limit"
+                value={session.timeLimit ?? ''}
+                onChange={(e) => setTimeLimit(Number(e.target.value))}
+                disabled={!isHost || !session.timeLimit}
+              >
+                {/* Keep a value set elsewhere (e.g. another client) selectable */}
+                {[...new Set([...TIME_LIMIT_CHOICES, session.timeLimit].filter(Boolean))]
+                  .sort((a, b) => a - b)
+                  .map((seconds) => (
+                    <option key={seconds} value={seconds}>
+                      {seconds} seconds
+                    </option>
+                  ))}
+              </select>
+            </div>
+            {/* Live Counts Toggle - whether players see answer counts before the reveal */}
+            <div className="lobby-setting">
+              <label htmlFor="live-counts">Live counts</label>
+              <label className="toggle">
+                <input
+                  id="live-counts"
+                  type="checkbox"
+                  checked={session.showLiveCounts}
+                  onChange={(e) => setLiveCounts(e.target.checked)}
+                  disabled={!isHost}
+                />
+                Show players how many picked each option before the reveal
+              </label>
+            </div>
+            {/* Auto-Reveal Toggle - end the question once everyone has answered */}
+            <div className="lobby-setting">
+              <label htmlFor="auto-reveal">Auto-reveal</label>
+              <label className="toggle">
+                <input
+                  id="auto-reveal"
+                  type="checkbox"
+                  checked={session.autoReveal}
+                  onChange={(e) => setAutoReveal(e.target.checked)}
+                  disabled={!isHost}
+                />
+                Reveal as soon as every player has answered
+              </label>
+            </div>
+            {/* Auto-Advance - hands-free mode for self-run study sessions */}
+            <div className="lobby-setting">
+              <label htmlFor="auto-advance">Auto-advance</label>
+              <div className="toggle-stack">
+                <label className="toggle">
+                  <input
+                    id="auto-advance"
+                    type="checkbox"
+                    checked={session.autoAdvance}
+                    onChange={(e) => setAutoAdvance({ enabled: e.target.checked })}
+                    disabled={!isHost}
+                  />
+                  Move on by itself after each reveal
+                </label>
+                {session.autoAdvance && (
+                  <>
+                    <label className="toggle">
+                      Show each answer for
+                      <select
+                        value={session.revealDelay ?? ''}
+                        onChange={(e) => setAutoAdvance({ revealSeconds: Number(e.target.value) })}
+                        disabled={!isHost}
+                      >
+                        {[...new Set([...REVEAL_DELAY_CHOICES, session.revealDelay].filter(Boolean))]
+                          .sort((a, b) => a - b)
+                          .map((seconds) => (
+                            <option key={seconds} value={seconds}>
+                              {seconds} seconds
+                            </option>
+                          ))}
+                      </select>
+                    </label>
+                    <label className="toggle">
+                      <input
+                        type="checkbox"
+                        checked={session.autoReturn}
+                        onChange={(e) => setAutoAdvance({ returnToLobby: e.target.checked })}
+                        disabled={!isHost}
+                      />
+                      Return to the lobby after the final rankings
+                    </label>
+                  </>
+                )}
+              </div>
+            </div>
+            {/* Players in the room - the host can hand control to any of them */}
+            <ul className="lobby-players">
+              {session.players?.map((player) => (
+                <li key={player.id} className={`${meta.id === player.id ? 'me' : ''} ${player.online ? '' : 'offline'}`}>
+                  <span className="dot" style={{ background: player.color }} />
+                  <span className="name">{player.name || 'Unnamed'}</span>
+                  {player.id === session.hostId && <span className="host-tag">Host</span>}
+                  {!player.online && <span className="offline-tag">Offline</span>}
+                  {qualityTag(player)}
+                  {/* Only someone connected can take over */}
+                  {isHost && player.id !== meta.id && player.online && (
+                    <button className="ghost small" onClick={() => transferHost(player.id)}>
+                      Make host
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <div className="control-row">
+              {/* Start and reload are host-only; everyone else waits */}
+              {isHost ? (
+                <>
+                  <button className="primary" onClick={startGame} disabled={!session.bankId}>
+                    Start
+                  </button>
+                  <button className="ghost" onClick={reloadBanks}>
+                    Reload banks
+                  </button>
+                </>
+              ) : (
+                <span className="waiting-host">Waiting for host…</span>
+              )}
+              <button className="ghost" onClick={reconnect}>
+                Reconnect
               </button>
             </div>
           </div>
-        </div>
-      )}
-      
+        </header>
+        {adminControls}
+      </div>
+    )
+  }
+
+  /**
+   * Quiz Screen (Main Game)
+   * 
+   * Shown during active quiz (question, reveal, or ended phases).
+   * This is the main game interface with questions, answers, timer, and leaderboard.
+   */
+  return (
+    <div className="page">
+      {connectionBanner}
+      {errorBanner}
+      {adminControls}
+
       {/* Header Section */}
       <header className="hero">
         <div>
@@ -882,31 +2003,67 @@ function App() {
           <h1>Economics Quiz</h1>
           <div className="pill-row">
             <span className={`pill status ${connection}`}>{connection}</span>
+            <span className="pill room-code">Room {meta.roomCode}</span>
             <span className="pill session">
               {statusCopy} · {session.questionIndex + 1}/{session.totalQuestions}
             </span>
             {/* Show admin badge if user is admin */}
             {isAdmin && <span className="pill" style={{ background: '#ffc107', color: '#000' }}>Admin</span>}
+            {isHost && <span className="pill host">Host</span>}
           </div>
         </div>
         <div className="actions stacked">
           <div className="control-row">
-            {/* Next Question Button */}
+            {/* Timer Controls (host only, while a question is open) */}
+            {isHost && session.phase === 'question' && (
+              <>
+                {session.paused ? (
+                  <button onClick={resumeTimer}>Resume</button>
+                ) : (
+                  <button className="ghost" onClick={pauseTimer}>Pause</button>
+                )}
+                <button className="ghost" onClick={() => addTime(15)}>+15s</button>
+                <button className="ghost" onClick={revealNow}>Reveal now</button>
+              </>
+            )}
+            {/* Auto-Advance Countdown (everyone) - the host can stop it and go back to clicking Next */}
+            {session.phase === 'reveal' && autoSecondsLeft !== null && (
+              <>
+                <span className="waiting-host">
+                  {isFinalReveal ? 'Final results' : 'Next question'} in {autoSecondsLeft}s
+                </span>
+                {isHost && (
+                  <button className="ghost" onClick={() => setAutoAdvance({ enabled: false })}>
+                    Stop auto-advance
+                  </button>
+                )}
+              </>
+            )}
+            {/* Next Question Button (host only) */}
             {/* 
               Disabled unless:
               - Game is in 'reveal' phase (current question is revealed)
               - Not on the last question
               
-              On last question, button text changes to "View Results"
+              On last question, button text changes to "View Results".
+              Other players see who they are waiting for instead.
             */}
-            <button 
-              onClick={next} 
-              disabled={session.phase !== 'reveal' || (session.questionIndex + 1 >= session.totalQuestions)}
-            >
-              {session.phase === 'reveal' && session.questionIndex + 1 >= session.totalQuestions 
-                ? 'View Results' 
-                : 'Next question'}
-            </button>
+            {isHost ? (
+              <button 
+                onClick={next} 
+                disabled={session.phase !== 'reveal' || (session.questionIndex + 1 >= session.totalQuestions)}
+              >
+                {session.phase === 'reveal' && session.questionIndex + 1 >= session.totalQuestions 
+                  ? 'View Results' 
+                  : 'Next question'}
+              </button>
+            ) : (
+              session.phase !== 'ended' && autoSecondsLeft === null && (
+                <span className="waiting-host">
+                  {session.phase === 'reveal' ? `Waiting for ${hostName}…` : `Host: ${hostName}`}
+                </span>
+              )
+            )}
             <button className="ghost" onClick={goLobby}>
               Leave (only me)
             </button>
@@ -923,7 +2080,7 @@ function App() {
               <p className="label">Status</p>
               <h2>{statusCopy}</h2>
               <p className="muted">
-                Answers {session.totalAnswers} · Online {session.players?.length || 0}
+                Answers {session.totalAnswers} · Online {onlineCount}
               </p>
             </div>
             
@@ -956,7 +2113,9 @@ function App() {
               </svg>
               <div className="timer-copy">
                 <p>Timer</p>
-                <strong>{session.phase === 'question' ? `${secondsLeft}s` : 'Waiting'}</strong>
+                <strong>
+                  {session.phase === 'question' ? `${secondsLeft}s${session.paused ? ' · Paused' : ''}` : 'Waiting'}
+                </strong>
               </div>
             </div>
           </div>
@@ -967,49 +2126,189 @@ function App() {
             {session.question ? (
               <>
                 <p className="prompt">{session.question.prompt}</p>
-                <div className="options">
-                  {/* Render each answer option as a button */}
-                  {session.question.options?.map((opt, idx) => {
-                    // Determine button state
-                    const isCorrect = session.phase === 'reveal' && session.question.correct === idx
-                    const isYours = yourAnswer === idx
-                    const hasAnswered = typeof yourAnswer === 'number'
+                {questionType === 'multi' && (
+                  <p className="muted question-hint">Select all that apply, then submit. Partly right answers earn partial credit.</p>
+                )}
+                {questionType === 'numeric' ? (
+                  /* Numeric Estimate - type a number instead of picking an option */
+                  /* 
+                    Question phase: number input and submit button.
+                    Reveal phase: histogram of everyone's guesses, with the bar
+                    holding the true value and the bar holding your guess marked.
+                  */
+                  <div className="numeric-answer">
+                    {session.phase === 'question' && (
+                      <form className="numeric-form" onSubmit={submitNumericAnswer}>
+                        <input
+                          type="number"
+                          step="any"
+                          inputMode="decimal"
+                          value={hasAnswered ? yourAnswer : numericValue}
+                          onChange={(e) => setNumericInput({ key: questionKey, value: e.target.value })}
+                          placeholder="Your estimate"
+                          disabled={!canAnswer}
+                          aria-label="Your estimate"
+                        />
+                        {session.question.unit && <span className="numeric-unit">{session.question.unit}</span>}
+                        <button type="submit" className="primary" disabled={!canAnswer || numericValue.trim() === ''}>
+                          {hasAnswered ? 'Answer locked in' : 'Submit'}
+                        </button>
+                      </form>
+                    )}
+
+                    {session.phase === 'reveal' && (
+                      <>
+                        <p className="numeric-truth">
+                          Answer: <strong>{formatNumber(session.question.correct)}{session.question.unit}</strong>
+                          {session.question.tolerance > 0 && (
+                            <span className="muted"> (within ±{formatNumber(session.question.tolerance)} counts as exact)</span>
+                          )}
+                          {hasAnswered && (
+                            <span className="muted"> · Your guess: {formatNumber(yourAnswer)}{session.question.unit}</span>
+                          )}
+                        </p>
+                        <div className="histogram">
+                          {session.histogram?.bins.map((bin, idx) => {
+                            const last = idx === session.histogram.bins.length - 1
+                            const holds = (value) =>
+                              typeof value === 'number' && value >= bin.from && (value < bin.to || (last && value <= bin.to))
+                            const peak = Math.max(1, ...session.histogram.bins.map((b) => b.count))
+                            return (
+                              <div
+                                key={idx}
+                                className={`histogram-bar ${holds(session.question.correct) ? 'truth' : ''} ${holds(yourAnswer) ? 'yours' : ''}`}
+                                title={`${formatNumber(bin.from)} to ${formatNumber(bin.to)}: ${bin.count}`}
+                              >
+                                <span className="histogram-count">{bin.count || ''}</span>
+                                <span className="histogram-fill" style={{ height: `${(bin.count / peak) * 100}%` }} />
+                                <span className="histogram-label">{formatNumber(bin.from)}</span>
+                              </div>
+                            )
+                          })}
+                        </div>
+                        {(session.histogram?.below > 0 || session.histogram?.above > 0) && (
+                          <p className="muted">
+                            Off the chart: {session.histogram.below} far below, {session.histogram.above} far above
+                          </p>
+                        )}
+                      </>
+                    )}
+                  </div>
+                ) : (
+                  <div className={`options options-${questionType}`}>
+                    {/* Render each answer option as a button */}
+                    {/* 
+                      single / true-false: clicking an option submits it straight away
+                      multi: clicking ticks the option; the Submit button sends all ticks
+                    */}
+                    {session.question.options?.map((opt, idx) => {
+                      // Determine button state
+                      // For multi questions both "correct" and our answer are arrays
+                      const correct = session.question.correct
+                      const isCorrect =
+                        session.phase === 'reveal' && (Array.isArray(correct) ? correct.includes(idx) : correct === idx)
+                      const isYours = Array.isArray(yourAnswer) ? yourAnswer.includes(idx) : yourAnswer === idx
+                      const isPicked = questionType === 'multi' && !hasAnswered && multiPicks.includes(idx)
                     
-                    return (
-                      <button
-                        key={idx}
-                        className={`option ${isCorrect ? 'correct' : ''} ${isYours ? 'yours' : ''}`}
-                        disabled={!canAnswer}
-                        onClick={() => answer(idx)}
-                      >
-                        {/* Option letter (A, B, C, D) */}
-                        <span className="option-letter">{String.fromCharCode(65 + idx)}</span>
+                      return (
+                        <button
+                          key={idx}
+                          className={`option ${isCorrect ? 'correct' : ''} ${isYours ? 'yours' : ''} ${isPicked ? 'picked' : ''}`}
+                          disabled={!canAnswer}
+                          onClick={() => (questionType === 'multi' ? toggleMultiPick(idx) : answer(idx))}
+                          aria-pressed={questionType === 'multi' ? isPicked || isYours : undefined}
+                        >
+                          {/* Option letter (A, B, C, ... or T/F) */}
+                          <span className="option-letter">{optionLabel(questionType, idx)}</span>
                         
-                        {/* Option text */}
-                        <span className="option-text">{opt}</span>
+                          {/* Option text */}
+                          <span className="option-text">{opt}</span>
                         
-                        {/* Show answer count during reveal phase */}
-                        {/* 
-                          Displays how many players chose this option.
-                          Format: "X / total players"
-                        */}
-                        {session.phase === 'reveal' && (
-                          <span className="option-count">
-                            {session.counts?.[idx] || 0} / {session.players?.length || 0}
-                          </span>
-                        )}
+                          {/* Show answer count (reveal, or live if the server sends counts) */}
+                          {/* 
+                            Displays how many players chose this option.
+                            Format: "X / total players"
+                          */}
+                          {session.counts && (
+                            <span className="option-count">
+                              {session.counts?.[idx] || 0} / {onlineCount}
+                            </span>
+                          )}
                         
-                        {/* Show wrong mark if player chose incorrect answer */}
-                        {!isCorrect && hasAnswered && isYours && session.phase === 'reveal' && (
-                          <span className="option-result wrong">×</span>
-                        )}
+                          {/* Show wrong mark if player chose incorrect answer */}
+                          {!isCorrect && hasAnswered && isYours && session.phase === 'reveal' && (
+                            <span className="option-result wrong">×</span>
+                          )}
                         
-                        {/* Show checkmark on correct answer */}
-                        {isCorrect && session.phase === 'reveal' && <span className="option-result check">✓</span>}
-                      </button>
-                    )
-                  })}
-                </div>
+                          {/* Show checkmark on correct answer */}
+                          {isCorrect && session.phase === 'reveal' && <span className="option-result check">✓</span>}
+                        </button>
+                      )
+                    })}
+                  </div>
+                )}
+
+                {/* Submit button for "select all that apply" questions */}
+                {questionType === 'multi' && session.phase === 'question' && (
+                  <div className="control-row multi-submit">
+                    <button className="primary" onClick={submitMultiAnswer} disabled={!canAnswer || !multiPicks.length}>
+                      {hasAnswered ? 'Answer locked in' : `Submit ${multiPicks.length || ''} selected`}
+                    </button>
+                  </div>
+                )}
+
+                {/* Points Breakdown - Reveal Phase */}
+                {/* 
+                  Shows how this player's points for the question were worked out.
+                  In speed mode a correct answer earns base points plus a bonus
+                  that shrinks the longer you took to answer.
+                */}
+                {session.phase === 'reveal' && (
+                  <div className="points-breakdown">
+                    {session.yourResult ? (
+                      <>
+                        <span className={session.yourResult.points > 0 ? 'check' : 'wrong'}>
+                          {session.yourResult.correct
+                            ? 'Correct'
+                            : session.yourResult.credit > 0
+                              ? `Partly correct (${Math.round(session.yourResult.credit * 100)}%)`
+                              : 'Incorrect'}
+                        </span>
+                        <span>Answered in {(session.yourResult.responseMs / 1000).toFixed(1)}s</span>
+                        {session.scoringMode === 'speed' && session.yourResult.points > 0 ? (
+                          <span>
+                            {session.yourResult.basePoints} base + {session.yourResult.speedBonus} speed bonus ={' '}
+                            <strong>+{session.yourResult.points} pts</strong>
+                          </span>
+                        ) : (
+                          <strong>+{session.yourResult.points} pts</strong>
+                        )}
+                      </>
+                    ) : (
+                      <span className="muted">No answer this round · +0 pts</span>
+                    )}
+                  </div>
+                )}
+
+                {/* Teaching Notes - Reveal Phase */}
+                {/* 
+                  Why the right answer is right, and - if we picked a wrong option
+                  that has a note - why that particular option is wrong.
+                */}
+                {session.phase === 'reveal' && (session.question.explanation || wrongPickNotes.length > 0) && (
+                  <div className="explanation">
+                    {wrongPickNotes.map(({ idx, note }) => (
+                      <p key={idx} className="explanation-wrong">
+                        <strong>Why {optionLabel(questionType, idx)} is wrong:</strong> {note}
+                      </p>
+                    ))}
+                    {session.question.explanation && (
+                      <p>
+                        <strong>Explanation:</strong> {session.question.explanation}
+                      </p>
+                    )}
+                  </div>
+                )}
               </>
             ) : session.phase === 'ended' || (session.phase === 'reveal' && session.questionIndex + 1 >= session.totalQuestions) ? (
               /* Finished Screen - Show Final Rankings */
@@ -1031,16 +2330,41 @@ function App() {
                       <span className="rank-number">#{index + 1}</span>
                       <span className="dot" style={{ background: player.color }} />
                       <span className="name">{player.name || 'Unnamed'}</span>
-                      <span className="score">{session.scores[player.id] || 0} / {session.totalQuestions}</span>
+                      <span className="score">
+                        {session.scoringMode === 'speed'
+                          ? `${session.scores[player.id] || 0} pts`
+                          : `${session.scores[player.id] || 0} / ${session.totalQuestions}`}
+                      </span>
                       {index === 0 && <span className="badge">🏆 Winner</span>}
                     </div>
                   ))}
                 </div>
                 <div className="finished-actions">
-                  {/* Return to Lobby - Available to all players */}
-                  <button className="primary" onClick={returnToLobby}>
-                    Return to Lobby
-                  </button>
+                  {/* Return to Lobby - Host only, everyone else waits */}
+                  {isHost ? (
+                    <>
+                      <button className="primary" onClick={returnToLobby}>
+                        Return to Lobby
+                      </button>
+                      {/* Gradebook download: every player's answer to every question */}
+                      <button className="ghost" onClick={() => exportResults('csv')}>
+                        Download CSV
+                      </button>
+                      <button className="ghost" onClick={() => exportResults('json')}>
+                        Download JSON
+                      </button>
+                      {/* Who did what to this room's games, and when */}
+                      <button className="ghost" onClick={() => toggleAuditTrail()}>
+                        {auditTrail ? 'Hide audit trail' : 'Audit trail'}
+                      </button>
+                    </>
+                  ) : autoSecondsLeft === null ? (
+                    <span className="waiting-host">Waiting for {hostName} to return to the lobby…</span>
+                  ) : null}
+                  {/* Auto-return countdown (hands-free games) */}
+                  {autoSecondsLeft !== null && (
+                    <span className="waiting-host">Back to the lobby in {autoSecondsLeft}s</span>
+                  )}
                   {/* Restart Quiz - Only available to admin */}
                   {isAdmin && (
                     <button className="primary" onClick={adminRestart}>
@@ -1048,6 +2372,8 @@ function App() {
                     </button>
                   )}
                 </div>
+                {/* Audit Trail - Host only, after asking for it */}
+                {isHost && auditPanel}
               </div>
             ) : (
               <div className="empty">
@@ -1069,16 +2395,106 @@ function App() {
             <ul className="score-list">
               {/* Render sorted list of players with scores */}
               {sortedScores.map((player, index) => (
-                <li key={player.id} className={meta.id === player.id ? 'me' : ''}>
+                <li key={player.id} className={`${meta.id === player.id ? 'me' : ''} ${player.online ? '' : 'offline'}`}>
                   <span className="dot" style={{ background: player.color }} />
-                  <span className="name">{player.name || 'Unnamed'}</span>
-                  <span className="score">{session.scores[player.id] || 0} pts</span>
+                  <span className="name">
+                    {player.name || 'Unnamed'}
+                    {player.id === session.hostId && <span className="host-tag">Host</span>}
+                    {/* Dropped out - keeps their score while they reconnect */}
+                    {!player.online && <span className="offline-tag">Offline</span>}
+                    {qualityTag(player)}
+                  </span>
+                  <span className="score">
+                    {session.scores[player.id] || 0} pts
+                    {/* Points gained on the question just revealed */}
+                    {session.phase === 'reveal' && session.roundPoints?.[player.id] > 0 && (
+                      <span className="round-points">+{session.roundPoints[player.id]}</span>
+                    )}
+                  </span>
                   {index === 0 && <span className="badge">Top</span>}
                 </li>
               ))}
               {!sortedScores.length && <li className="muted">No players yet</li>}
             </ul>
           </div>
+
+          {/* Answer Detail - Host and admins only (the server sends nobody else 'answers') */}
+          {session.answers && session.question && session.phase !== 'ended' && (
+            <div className="score-card">
+              <div className="card-head">
+                <div>
+                  <p className="label">Host view</p>
+                  <h3>Who answered what</h3>
+                </div>
+              </div>
+              <ul className="score-list">
+                {session.players?.map((player) => (
+                  <li key={player.id}>
+                    <span className="dot" style={{ background: player.color }} />
+                    <span className="name">{player.name || 'Unnamed'}</span>
+                    <span className="score">
+                      {session.answers[player.id] !== undefined
+                        ? formatAnswer(session.question, session.answers[player.id])
+                        : '—'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Question Analytics - Host and admins only */}
+          {/* 
+            One row per revealed question: % correct, median answer time,
+            difficulty index and the most popular wrong option.
+            Questions most of the class got wrong are flagged for reteaching.
+          */}
+          {session.analytics?.questions.length > 0 && (
+            <div className="score-card">
+              <div className="card-head">
+                <div>
+                  <p className="label">Host view</p>
+                  <h3>Question analytics</h3>
+                </div>
+              </div>
+              {session.analytics.reteach.length > 0 && (
+                <p className="analytics-flag">
+                  Reteach: {session.analytics.reteach.length} question
+                  {session.analytics.reteach.length === 1 ? '' : 's'} most of the class got wrong
+                </p>
+              )}
+              <ul className="analytics-list">
+                {session.analytics.questions.map((q) => (
+                  <li key={q.questionIndex} className={q.needsReteach ? 'reteach' : ''}>
+                    <p className="analytics-prompt">
+                      <strong>Q{q.questionIndex + 1}.</strong> {q.prompt}
+                    </p>
+                    <div className="analytics-stats">
+                      <span>{formatPercent(q.percentCorrect)} correct</span>
+                      <span>
+                        Median {q.medianResponseMs === null ? '—' : `${(q.medianResponseMs / 1000).toFixed(1)}s`}
+                      </span>
+                      <span title="Difficulty index: average credit earned (0 = nobody, 1 = everyone)">
+                        p = {q.difficulty === null ? '—' : q.difficulty.toFixed(2)}
+                      </span>
+                    </div>
+                    {/* Most popular wrong options - shows the common misconception */}
+                    {q.wrongOptions.some((o) => o.count > 0) && (
+                      <p className="muted">
+                        Wrong picks:{' '}
+                        {q.wrongOptions
+                          .filter((o) => o.count > 0)
+                          // Option text, not a letter - with shuffled options each player saw different letters
+                          .map((o) => `"${o.text}" ${formatPercent(o.percent)}`)
+                          .join(' · ')}
+                      </p>
+                    )}
+                    {q.needsReteach && <span className="badge">Reteach</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </aside>
       </main>
     </div>
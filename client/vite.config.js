@@ -7,4 +7,11 @@ export default defineConfig({
   // Use '/' for Render Static Site deployment (and local development)
   // If you want to use GitHub Pages, change this to '/4-Node/'
   base: '/',
+  server: {
+    fs: {
+      // The message schema lives with the server; the dev server may read
+      // the client folder and that one file, not the rest of the server folder
+      allow: ['.', '../server/protocol.schema.json'],
+    },
+  },
 })
@@ -0,0 +1,96 @@
+/**
+ * Economics Quiz - Question Analytics
+ * 
+ * Summarises the answer log (see revealQuestion in server.js) into
+ * per-question statistics for the host's analytics view.
+ * 
+ * For each revealed question:
+ * - percentCorrect: Share of answers that were fully correct
+ * - medianResponseMs: Median time from question start to answer
+ * - wrongOptions: How popular each wrong option was (option questions only)
+ * - difficulty: Classical item difficulty index (p) - the average credit earned,
+ *   from 0 (nobody got it) to 1 (everyone got it). Partial credit counts.
+ * - needsReteach: Flagged when most of the class got it wrong
+ */
+
+const RETEACH_THRESHOLD = 0.5 // Flag questions where fewer than half the answers were correct
+
+/**
+ * Median
+ * 
+ * @param {Array<number>} values - Numbers in any order
+ * @returns {number|null} Median, or null for an empty list
+ */
+const median = (values) => {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2)
+}
+
+/**
+ * Round to Two Decimals
+ * 
+ * @param {number} n - Number to round
+ * @returns {number} Rounded number
+ */
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Question Stats
+ * 
+ * @param {object} entry - One answer log entry
+ * @returns {object} Statistics for the question
+ */
+const questionStats = (entry) => {
+  const { answers } = entry
+  const answered = answers.length
+  const correctCount = answers.filter((a) => a.correct).length
+  const creditSum = answers.reduce((sum, a) => sum + (a.credit || 0), 0)
+
+  // Popularity of each wrong option, most picked first
+  // (a multi-select answer counts once for every wrong option it ticked)
+  let wrongOptions = []
+  if (entry.type !== 'numeric') {
+    const correct = Array.isArray(entry.correct) ? entry.correct : [entry.correct]
+    wrongOptions = entry.options
+      .map((text, optionIndex) => ({
+        optionIndex,
+        text,
+        count: answers.filter((a) => (Array.isArray(a.choice) ? a.choice.includes(optionIndex) : a.choice === optionIndex)).length,
+      }))
+      .filter((option) => !correct.includes(option.optionIndex))
+      .map((option) => ({ ...option, percent: answered ? round2(option.count / answered) : 0 }))
+      .sort((a, b) => b.count - a.count)
+  }
+
+  const percentCorrect = answered ? round2(correctCount / answered) : null
+  return {
+    questionIndex: entry.questionIndex,
+    questionId: entry.questionId,
+    prompt: entry.prompt,
+    type: entry.type,
+    answered,
+    percentCorrect,
+    medianResponseMs: median(answers.map((a) => a.responseMs).filter((ms) => typeof ms === 'number')),
+    wrongOptions,
+    difficulty: answered ? round2(creditSum / answered) : null,
+    needsReteach: percentCorrect !== null && percentCorrect < RETEACH_THRESHOLD,
+  }
+}
+
+/**
+ * Build Analytics
+ * 
+ * @param {Array<object>} log - The session's answer log
+ * @returns {object} { questions, reteach } - stats per question, and the ids of flagged questions
+ */
+const buildAnalytics = (log) => {
+  const questions = log.map(questionStats)
+  return {
+    questions,
+    reteach: questions.filter((q) => q.needsReteach).map((q) => q.questionId),
+  }
+}
+
+module.exports = { buildAnalytics, RETEACH_THRESHOLD }
@@ -0,0 +1,175 @@
+/**
+ * Economics Quiz - Admin Authentication
+ * 
+ * Checks the admin password and hands out session tokens for admin commands.
+ * 
+ * How it works:
+ * 1. The admin password is never stored in plain text. The server only knows
+ *    its scrypt hash, read from the ADMIN_PASSWORD_HASH environment variable.
+ * 2. A successful 'admin-login' returns a random session token.
+ * 3. Later admin commands (e.g. 'admin-restart') send the token instead of the password.
+ * 4. Tokens expire after ADMIN_TOKEN_TTL_MS.
+ * 5. Repeated wrong passwords from the same address are locked out for a while.
+ * 
+ * Generate a hash for your password with:
+ *   npm run hash-password -- "your password"
+ * and set the printed value as ADMIN_PASSWORD_HASH.
+ */
+
+const crypto = require('crypto')
+const { promisify } = require('util')
+
+const scrypt = promisify(crypto.scrypt)
+
+const ADMIN_TOKEN_TTL_MS = 8 * 60 * 60 * 1000 // Admin sessions last one school day (8 hours)
+const LOGIN_WINDOW_MS = 15 * 60 * 1000 // Failed attempts are counted over 15 minutes
+const MAX_FAILED_LOGINS = 5 // Wrong passwords allowed per window before lockout
+const SCRYPT_KEY_LENGTH = 64
+const HEX = /^(?:[0-9a-f]{2})+$/i // Whole bytes of hex, nothing else
+
+/**
+ * Hash Password
+ * 
+ * Creates a salted scrypt hash in the form "scrypt$<salt hex>$<hash hex>".
+ * 
+ * @param {string} password - Plain-text password
+ * @returns {string} Encoded hash, safe to put in an environment variable
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16)
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH)
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`
+}
+
+/**
+ * Parse Hash
+ * 
+ * Splits an encoded hash into its salt and key. Anything else - another
+ * scheme, non-hex parts, a key of the wrong length - is rejected, because
+ * a hash that decodes to nothing would match a password that hashes to nothing.
+ * 
+ * @param {*} encoded - Hash from hashPassword
+ * @returns {object|null} { salt, expected } as Buffers, or null if malformed
+ */
+const parseHash = (encoded) => {
+  if (typeof encoded !== 'string') return null
+  const [scheme, saltHex, hashHex, ...rest] = encoded.split('$')
+  if (scheme !== 'scrypt' || rest.length || !HEX.test(saltHex || '') || !HEX.test(hashHex || '')) return null
+  const expected = Buffer.from(hashHex, 'hex')
+  if (expected.length !== SCRYPT_KEY_LENGTH) return null
+  return { salt: Buffer.from(saltHex, 'hex'), expected }
+}
+
+/**
+ * Verify Password
+ * 
+ * Compares a password with an encoded hash in constant time,
+ * so response timing doesn't leak how much of the password was right.
+ * 
+ * scrypt is slow on purpose, so it runs on the thread pool (crypto.scrypt)
+ * rather than on the event loop - a burst of logins can't stall the game timers.
+ * 
+ * @param {string} password - Password to check
+ * @param {string} encoded - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches (always false for a malformed hash)
+ */
+const verifyPassword = async (password, encoded) => {
+  if (typeof password !== 'string') return false
+  const parsed = parseHash(encoded)
+  if (!parsed) return false
+  const { salt, expected } = parsed
+  const actual = await scrypt(password, salt, SCRYPT_KEY_LENGTH)
+  if (expected.length !== SCRYPT_KEY_LENGTH) return false
+  return crypto.timingSafeEqual(actual, expected)
+}
+
+/**
+ * Create Admin Auth
+ * 
+ * Holds the admin hash, issued tokens and failed-login counters.
+ * 
+ * @param {string|undefined} passwordHash - Value of ADMIN_PASSWORD_HASH (admin login is disabled if missing or malformed)
+ * @returns {object} { enabled, login, isValidToken, revokeToken }
+ */
+const createAdminAuth = (passwordHash) => {
+  const tokens = new Map() // token -> expiresAt
+  const failures = new Map() // address -> { count, windowStart }
+  const enabled = parseHash(passwordHash) !== null // The hash is checked once, here, not per login
+
+  /**
+   * Login
+   * 
+   * Each attempt counts as a failure until the password has been checked,
+   * so guesses sent in parallel can't get past MAX_FAILED_LOGINS.
+   * 
+   * @param {string} password - Password from the client (never logged)
+   * @param {string} address - Client address, used for rate limiting
+   * @returns {Promise<object>} { ok: true, token, expiresAt } or { ok: false, message, retryAfterMs? }
+   */
+  const login = async (password, address) => {
+    const now = Date.now()
+    if (!enabled) return { ok: false, message: 'Admin login is not configured on this server.' }
+
+    // Start a fresh window once the old one has passed
+    let record = failures.get(address)
+    if (record && now - record.windowStart >= LOGIN_WINDOW_MS) {
+      failures.delete(address)
+      record = undefined
+    }
+    if (record && record.count >= MAX_FAILED_LOGINS) {
+      const retryAfterMs = record.windowStart + LOGIN_WINDOW_MS - now
+      return { ok: false, message: 'Too many failed attempts. Try again later.', retryAfterMs }
+    }
+
+    failures.set(address, { count: (record?.count || 0) + 1, windowStart: record?.windowStart || now })
+    if (!(await verifyPassword(password, passwordHash))) {
+      return { ok: false, message: 'Incorrect password' }
+    }
+
+    failures.delete(address)
+    const token = crypto.randomBytes(32).toString('base64url')
+    const expiresAt = now + ADMIN_TOKEN_TTL_MS
+    tokens.set(token, expiresAt)
+    return { ok: true, token, expiresAt }
+  }
+
+  /**
+   * Is Valid Token
+   * 
+   * @param {*} token - Token sent with an admin command
+   * @returns {boolean} True if the token was issued by login and hasn't expired
+   */
+  const isValidToken = (token) => {
+    if (typeof token !== 'string') return false
+    const expiresAt = tokens.get(token)
+    if (!expiresAt) return false
+    if (Date.now() >= expiresAt) {
+      tokens.delete(token) // Clean up expired token
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Revoke Token
+   * 
+   * @param {string} token - Token to end (admin logout)
+   */
+  const revokeToken = (token) => {
+    tokens.delete(token)
+  }
+
+  return { enabled, login, isValidToken, revokeToken }
+}
+
+module.exports = { createAdminAuth, hashPassword, verifyPassword }
+
+// Command line: node auth.js "your password" -> prints a value for ADMIN_PASSWORD_HASH
+if (require.main === module) {
+  const password = process.argv[2]
+  if (!password) {
+    console.error('Usage: npm run hash-password -- "your password"')
+    process.exit(1)
+  }
+  console.log(hashPassword(password))
+}
@@ -0,0 +1,129 @@
+/**
+ * Economics Quiz - Player Identity
+ * 
+ * Issues resume tokens so a reconnecting player gets their old identity
+ * (and with it their score) back - and nobody else can.
+ * 
+ * How it works:
+ * 1. Every connection gets a new client ID and a resume token in 'init'.
+ * 2. The token is "<clientId>.<expiresAt>.<signature>", signed with HMAC-SHA256
+ *    using a server secret, so it can't be guessed or forged from a client ID.
+ * 3. 'resume' must present the token. The server checks the signature and expiry.
+ *    If another socket still holds that identity (e.g. a phone's connection that
+ *    died while the screen was off, which the heartbeat hasn't reaped yet), the
+ *    token holder takes over and server.js closes the old socket - so two sockets
+ *    never hold one identity at once.
+ * 4. Every successful connect or resume hands out a fresh token.
+ * 
+ * The secret comes from RESUME_TOKEN_SECRET. Without it server.js makes a random
+ * one and keeps it in the saved game state, so tokens survive a restart.
+ */
+
+const crypto = require('crypto')
+
+const RESUME_TOKEN_TTL_MS = 12 * 60 * 60 * 1000 // A token can resume for 12 hours after it was issued
+
+/**
+ * Sign
+ * 
+ * @param {string} secret - Server secret
+ * @param {string} payload - Text to sign
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+
+/**
+ * Create Player Registry
+ * 
+ * Tracks which socket currently holds each identity and issues/checks resume tokens.
+ * 
+ * @param {string|undefined} secret - Value of RESUME_TOKEN_SECRET (random if missing)
+ * @returns {object} { register, resume, release }
+ */
+const createPlayerRegistry = (secret) => {
+  const key = secret || crypto.randomBytes(32).toString('hex')
+  const live = new Map() // clientId -> WebSocket currently using it
+
+  /**
+   * Issue Token
+   * 
+   * @param {string} clientId - Identity the token resumes
+   * @returns {string} Signed resume token
+   */
+  const issueToken = (clientId) => {
+    const payload = `${clientId}.${Date.now() + RESUME_TOKEN_TTL_MS}`
+    return `${payload}.${sign(key, payload)}`
+  }
+
+  /**
+   * Read Token
+   * 
+   * Checks the signature (in constant time) and expiry.
+   * 
+   * @param {*} token - Token from a 'resume' message
+   * @returns {string|null} Client ID, or null if the token is invalid or expired
+   */
+  const readToken = (token) => {
+    if (typeof token !== 'string') return null
+    const parts = token.split('.')
+    if (parts.length !== 3) return null
+    const [clientId, expiresAt, signature] = parts
+    const expected = Buffer.from(sign(key, `${clientId}.${expiresAt}`))
+    const actual = Buffer.from(signature)
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null
+    if (!(Number(expiresAt) > Date.now())) return null
+    return clientId
+  }
+
+  /**
+   * Register
+   * 
+   * Creates a brand new identity for a fresh connection.
+   * 
+   * @param {WebSocket} ws - The new connection
+   * @returns {object} { clientId, resumeToken }
+   */
+  const register = (ws) => {
+    const clientId = crypto.randomBytes(8).toString('hex')
+    live.set(clientId, ws)
+    return { clientId, resumeToken: issueToken(clientId) }
+  }
+
+  /**
+   * Resume
+   * 
+   * Moves a connection onto the identity named in a resume token.
+   * The connection's own fresh identity is released.
+   * 
+   * @param {*} token - Token from the 'resume' message
+   * @param {WebSocket} ws - Connection asking to resume
+   * @param {string} currentId - Identity the connection has now
+   * @returns {object} { ok: true, clientId, resumeToken, replaced } or { ok: false, message }
+   *   - replaced: the socket that held the identity until now (the caller closes it), if any
+   */
+  const resume = (token, ws, currentId) => {
+    const clientId = readToken(token)
+    if (!clientId) return { ok: false, message: 'Your previous session has expired. Please join again.' }
+    const holder = live.get(clientId)
+    const replaced = holder && holder !== ws && holder.readyState === holder.OPEN ? holder : null
+    if (currentId !== clientId) release(currentId, ws)
+    live.set(clientId, ws)
+    return { ok: true, clientId, resumeToken: issueToken(clientId), replaced }
+  }
+
+  /**
+   * Release
+   * 
+   * Frees an identity when its socket closes (only if that socket still holds it).
+   * 
+   * @param {string} clientId - Identity to free
+   * @param {WebSocket} ws - Socket that is letting go
+   */
+  const release = (clientId, ws) => {
+    if (live.get(clientId) === ws) live.delete(clientId)
+  }
+
+  return { register, resume, release }
+}
+
+module.exports = { createPlayerRegistry, RESUME_TOKEN_TTL_MS }
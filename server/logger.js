@@ -0,0 +1,78 @@
+/**
+ * Economics Quiz - Logging
+ * 
+ * Structured logs: one JSON object per line, so a log platform (or jq)
+ * can filter by level, room or connection instead of grepping sentences.
+ * 
+ * How it works:
+ * 1. server.js creates one logger at startup; its level comes from LOG_LEVEL
+ *    ('debug', 'info', 'warn' or 'error', default 'info')
+ * 2. Each connection gets a child logger carrying its connectionId, so every
+ *    line about that connection can be found with one filter
+ * 3. A line looks like:
+ *    {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"connection opened","connectionId":"3f9a0c12e7b4",...}
+ * 4. info and debug go to stdout; warn and error to stderr
+ * 
+ * Fields whose name mentions a password, token or secret are always written
+ * as "[redacted]", whatever the caller passes in.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const DEFAULT_LEVEL = 'info'
+const SECRET_FIELD = /password|token|secret/i // Never written out, at any depth
+
+/**
+ * Redact
+ * 
+ * JSON.stringify replacer that hides secrets and turns Errors into plain objects
+ * (an Error has no enumerable fields, so it would otherwise log as {}).
+ * 
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {*} Value to write
+ */
+const redact = (key, value) => {
+  if (key && SECRET_FIELD.test(key) && value !== null && value !== undefined) return '[redacted]'
+  if (value instanceof Error) return { message: value.message, code: value.code }
+  return value
+}
+
+/**
+ * Default Writer
+ * 
+ * @param {string} level - Level of the line
+ * @param {string} line - Serialized log line (no newline)
+ */
+const writeLine = (level, line) => {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+  stream.write(`${line}\n`)
+}
+
+/**
+ * Create Logger
+ * 
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level written (unknown values mean 'info')
+ * @param {object} [options.fields] - Added to every line (e.g. { connectionId })
+ * @param {Function} [options.write] - (level, line) => void, for sending lines elsewhere
+ * @returns {object} { debug, info, warn, error, child } - each level is (msg, fields?) => void
+ */
+const createLogger = ({ level, fields = {}, write = writeLine } = {}) => {
+  const minLevel = LEVELS[level] || LEVELS[DEFAULT_LEVEL]
+
+  const logAt = (name) => (msg, extra = {}) => {
+    if (LEVELS[name] < minLevel) return
+    write(name, JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...fields, ...extra }, redact))
+  }
+
+  return {
+    debug: logAt('debug'),
+    info: logAt('info'),
+    warn: logAt('warn'),
+    error: logAt('error'),
+    // Same level and output, with more fields on every line
+    child: (moreFields) => createLogger({ level, fields: { ...fields, ...moreFields }, write }),
+  }
+}
+
+module.exports = { createLogger }
@@ -0,0 +1,129 @@
+/**
+ * Economics Quiz - Metrics
+ * 
+ * A small Prometheus metrics registry (no dependencies), served by server.js at /metrics.
+ * 
+ * How it works:
+ * 1. server.js registers its metrics once at startup:
+ *    - counter: Only goes up (messages received, answers)
+ *    - gauge: Read at scrape time from a collect function (open connections, rooms)
+ *    - histogram: Counts observations into buckets (broadcast latency)
+ * 2. The game code updates counters and histograms as things happen
+ * 3. render() writes everything in the Prometheus text format (version 0.0.4)
+ * 
+ * Labels are plain objects, e.g. { type: 'answer' }. Keep label values to
+ * small fixed sets (message types, phases) - never room codes or player ids.
+ */
+
+/**
+ * Format Labels
+ * 
+ * @param {object} labels - Label names and values
+ * @returns {string} e.g. '{type="answer"}', or '' for no labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels)
+  if (!entries.length) return ''
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`
+}
+
+/**
+ * Create Metrics Registry
+ * 
+ * @returns {object} { counter, gauge, histogram, render }
+ */
+const createMetrics = () => {
+  const metrics = [] // In registration order, which is also the output order
+
+  /**
+   * Counter
+   * 
+   * @param {string} name - Metric name (should end in _total)
+   * @param {string} help - One-line description
+   * @returns {object} { inc(labels?, amount?) }
+   */
+  const counter = (name, help) => {
+    const values = new Map() // formatted labels -> count
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => Array.from(values, ([labels, value]) => `${name}${labels} ${value}`),
+    })
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const key = formatLabels(labels)
+        values.set(key, (values.get(key) || 0) + amount)
+      },
+    }
+  }
+
+  /**
+   * Gauge
+   * 
+   * @param {string} name - Metric name
+   * @param {string} help - One-line description
+   * @param {Function} collect - Returns the current value, or a list of { labels, value }
+   */
+  const gauge = (name, help, collect) => {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        const current = collect()
+        const samples = Array.isArray(current) ? current : [{ labels: {}, value: current }]
+        return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      },
+    })
+  }
+
+  /**
+   * Histogram
+   * 
+   * @param {string} name - Metric name
+   * @param {string} help - One-line description
+   * @param {Array<number>} buckets - Upper bounds, smallest first (+Inf is added)
+   * @returns {object} { observe(value) }
+   */
+  const histogram = (name, help, buckets) => {
+    const counts = buckets.map(() => 0)
+    let sum = 0
+    let count = 0
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [
+        ...buckets.map((bound, i) => `${name}_bucket{le="${bound}"} ${counts[i]}`),
+        `${name}_bucket{le="+Inf"} ${count}`,
+        `${name}_sum ${sum}`,
+        `${name}_count ${count}`,
+      ],
+    })
+    return {
+      observe: (value) => {
+        buckets.forEach((bound, i) => {
+          if (value <= bound) counts[i] += 1 // Buckets are cumulative
+        })
+        sum += value
+        count += 1
+      },
+    }
+  }
+
+  /**
+   * Render
+   * 
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  const render = () =>
+    metrics
+      .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+      .join('\n') + '\n'
+
+  return { counter, gauge, histogram, render }
+}
+
+module.exports = { createMetrics }
@@ -0,0 +1,112 @@
+/**
+ * Economics Quiz - Message Protocol
+ * 
+ * Checks every message from a client against the shared schema in
+ * protocol.schema.json (the client imports the same file).
+ * 
+ * How it works:
+ * 1. Every client message carries the envelope fields:
+ *    - type: Which action it is (a key of "messages" in the schema)
+ *    - v: The protocol version the client was built for
+ *    - requestId: Optional id the server echoes back in an 'error' reply
+ * 2. The other fields must be listed for that type, with the right type
+ *    (and enum / length / item rules where the schema gives them)
+ * 3. A message that fails gets an 'error' reply with a code from "errors"
+ *    and never reaches the handlers in server.js
+ * 
+ * Bump "version" in the schema whenever a change would break older clients.
+ */
+
+const schema = require('./protocol.schema.json')
+
+const PROTOCOL_VERSION = schema.version
+
+/**
+ * Matches Type
+ * 
+ * @param {*} value - Field value from the message
+ * @param {string} type - 'string', 'integer', 'number', 'boolean' or 'array'
+ * @returns {boolean} True if the value has that type
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+    case 'integer':
+      return Number.isSafeInteger(value)
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'array':
+      return Array.isArray(value)
+    default:
+      return false
+  }
+}
+
+/**
+ * Check Field
+ * 
+ * @param {string} name - Field name (for the error text)
+ * @param {*} value - Field value from the message (undefined if missing)
+ * @param {object} spec - Field rules from the schema
+ * @returns {string|null} What is wrong, or null if the field is fine
+ */
+const checkField = (name, value, spec) => {
+  if (value === undefined) return spec.required ? `"${name}" is required` : null
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type]
+  if (!types.some((type) => matchesType(value, type))) return `"${name}" must be ${types.join(' or ')}`
+  if (spec.enum && !spec.enum.includes(value)) return `"${name}" must be one of ${spec.enum.join(', ')}`
+  if (typeof value === 'string' && spec.maxLength && value.length > spec.maxLength) {
+    return `"${name}" is longer than ${spec.maxLength} characters`
+  }
+  if (Array.isArray(value)) {
+    if (spec.maxItems && value.length > spec.maxItems) return `"${name}" has more than ${spec.maxItems} items`
+    if (spec.items && !value.every((item) => matchesType(item, spec.items))) return `"${name}" must only hold ${spec.items} values`
+  }
+  return null
+}
+
+/**
+ * Validate Message
+ * 
+ * Rules:
+ * - The message must be a JSON object with a known type
+ * - v must match PROTOCOL_VERSION (an old cached page is told to reload)
+ * - Unlisted fields are rejected, so typos don't silently do nothing
+ * 
+ * @param {*} data - Parsed message from the client
+ * @returns {object} { ok: true } or { ok: false, code, message, requestId }
+ *   (requestId is only echoed when it was itself valid)
+ */
+const validateMessage = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, code: 'bad-request', message: 'Messages must be JSON objects.' }
+  }
+  const requestId = checkField('requestId', data.requestId, schema.envelope.requestId) ? undefined : data.requestId
+  const fail = (code, message) => ({ ok: false, code, message, requestId })
+
+  for (const [name, spec] of Object.entries(schema.envelope)) {
+    const problem = checkField(name, data[name], spec)
+    if (problem) return fail('bad-request', `Invalid message: ${problem}.`)
+  }
+  if (data.v !== PROTOCOL_VERSION) {
+    return fail('unsupported-version', 'This page is out of date. Reload it to keep playing.')
+  }
+  const fields = Object.hasOwn(schema.messages, data.type) ? schema.messages[data.type] : null
+  if (!fields) return fail('unknown-type', `Unknown message type "${data.type}".`)
+
+  for (const name of Object.keys(data)) {
+    if (!Object.hasOwn(schema.envelope, name) && !Object.hasOwn(fields, name)) {
+      return fail('bad-request', `Invalid ${data.type} message: unexpected field "${name}".`)
+    }
+  }
+  for (const [name, spec] of Object.entries(fields)) {
+    const problem = checkField(name, data[name], spec)
+    if (problem) return fail('bad-request', `Invalid ${data.type} message: ${problem}.`)
+  }
+  return { ok: true }
+}
+
+module.exports = { validateMessage, PROTOCOL_VERSION }
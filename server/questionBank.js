@@ -0,0 +1,672 @@
+/**
+ * Economics Quiz - Question Bank Loader
+ * 
+ * Loads quiz questions from files on disk so questions can be added or fixed
+ * without redeploying the server.
+ * 
+ * How it works:
+ * 1. Every .json and .csv file in the bank directory is one question bank
+ * 2. Each file is parsed and every question is checked for the right shape
+ * 3. Files with any invalid question are rejected as a whole
+ * 4. Errors point at the line in the file where the problem is
+ * 
+ * JSON format (either form works):
+ *   { "name": "Economics Basics", "questions": [ { "id", "type", "prompt", "options", "correct" }, ... ] }
+ *   [ { "id", "type", "prompt", "options", "correct" }, ... ]
+ * 
+ * CSV format (first row is the header, one question per row; "type" column is optional):
+ *   id,type,prompt,option1,option2,option3,option4,correct
+ *   q1,single,What is inflation?,A general rise in prices,A drop in all prices,...,0
+ * 
+ * Question types:
+ * - single (default): 2-6 options, "correct" is one index
+ * - true-false: options default to ["True", "False"], "correct" is 0/1 or true/false
+ * - multi: "select all that apply", 2-6 options, "correct" is an array of indexes
+ *   (in CSV, separate indexes with semicolons: 0;2)
+ * - numeric: players type a number, "correct" is the true value. Scored by closeness:
+ *   - tolerance: guesses this close (or closer) get full credit (default 0)
+ *   - range: distance at which credit reaches 0 (default: tolerance + a quarter of the value, at least 1)
+ *   - curve: "linear" (credit falls off evenly up to range) or "step" (tolerance only)
+ *   - unit: optional label shown next to the input, e.g. "%"
+ *   In CSV these are optional tolerance, range, curve and unit columns.
+ * 
+ * Teaching notes (optional, any type), shown to players at the reveal:
+ * - explanation: why the correct answer is right
+ * - optionNotes: one short note per option saying why it is wrong, in option order;
+ *   use null or "" for options without a note (not allowed on numeric questions)
+ *   In CSV these are an explanation column and note1, note2, ... columns.
+ * 
+ * Topics (optional, any type), used by the host to draw questions on one topic:
+ * - category: one topic name, e.g. "Inflation"
+ * - tags: more topic names, e.g. ["monetary policy", "interest rates"]
+ *   Both end up in the question's "tags" list.
+ *   In CSV these are a category column and a tags column (separate tags with semicolons).
+ * 
+ * Time limit (optional, any type):
+ * - timeLimit: seconds players get for this question (MIN_TIME_LIMIT_S-MAX_TIME_LIMIT_S).
+ *   Questions without one use the time the host picks in the lobby.
+ *   In CSV this is a timeLimit column.
+ * 
+ * The bank id is the file name without its extension (economics.json -> "economics").
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Question Types
+ * 
+ * How many options each type allows. The client draws a matching control for each type.
+ */
+const QUESTION_TYPES = {
+  single: { minOptions: 2, maxOptions: 6 },
+  'true-false': { minOptions: 2, maxOptions: 2 },
+  multi: { minOptions: 2, maxOptions: 6 },
+  numeric: { minOptions: 0, maxOptions: 0 },
+}
+const NUMERIC_CURVES = ['linear', 'step']
+const DEFAULT_QUESTION_TYPE = 'single'
+const TRUE_FALSE_OPTIONS = ['True', 'False']
+const MIN_TIME_LIMIT_S = 5 // Shortest time a question (or the lobby default) can give
+const MAX_TIME_LIMIT_S = 600 // Longest: 10 minutes
+
+/**
+ * Bank Load Error
+ * 
+ * Thrown when a bank file cannot be used.
+ * Carries every problem found so they can all be fixed in one go.
+ */
+class BankError extends Error {
+  /**
+   * @param {string} file - File name of the rejected bank
+   * @param {Array<{line: number|null, message: string}>} problems - What is wrong and where
+   */
+  constructor(file, problems) {
+    super(`${file}: ${problems.length} problem(s)`)
+    this.name = 'BankError'
+    this.file = file
+    this.problems = problems
+  }
+}
+
+/**
+ * Line Number at Offset
+ * 
+ * Converts a character offset in a file into a 1-based line number.
+ * 
+ * @param {string} text - File contents
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length
+
+/**
+ * Find Question Lines in JSON
+ * 
+ * JSON.parse does not tell us where each object came from, so this scans
+ * the raw text and records the line where each question object starts.
+ * 
+ * How it works:
+ * 1. Walk the text, skipping over string contents
+ * 2. Track nesting with a stack of '{' and '['
+ * 3. Find the questions array (top-level array, or the "questions" key)
+ * 4. Record the line of every '{' directly inside that array
+ * 
+ * @param {string} text - Raw JSON text
+ * @returns {Array<number>} Line number of each question, in order
+ */
+const findQuestionLines = (text) => {
+  const lines = []
+  const stack = []
+  let line = 1
+  let inString = false
+  let stringStart = 0
+  let lastString = ''
+  let currentKey = ''
+  let questionsDepth = -1 // Stack depth inside the questions array
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i]
+    if (ch === '\n') line += 1
+    if (inString) {
+      if (ch === '\\') i += 1 // Skip escaped character
+      else if (ch === '"') {
+        inString = false
+        lastString = text.slice(stringStart, i)
+      }
+      continue
+    }
+    if (ch === '"') {
+      inString = true
+      stringStart = i + 1
+    } else if (ch === ':' && stack.length === 1) {
+      currentKey = lastString // Key of a top-level property
+    } else if (ch === '{' || ch === '[') {
+      if (ch === '{' && stack.length === questionsDepth) lines.push(line)
+      stack.push(ch)
+      if (ch === '[' && questionsDepth === -1) {
+        // Bare array file, or the array under the top-level "questions" key
+        if (stack.length === 1 || (stack.length === 2 && currentKey === 'questions')) {
+          questionsDepth = stack.length
+        }
+      }
+    } else if (ch === '}' || ch === ']') {
+      stack.pop()
+    }
+  }
+  return lines
+}
+
+/**
+ * Parse CSV
+ * 
+ * Minimal RFC 4180 parser: commas separate fields, fields may be wrapped in
+ * double quotes, and "" inside quotes is a literal quote. Quoted fields may
+ * span several lines.
+ * 
+ * @param {string} text - Raw CSV text
+ * @returns {Array<{line: number, fields: Array<string>}>} Rows with the line each one starts on
+ */
+const parseCsv = (text) => {
+  const rows = []
+  let fields = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    fields.push(field)
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') rows.push({ line: rowLine, fields })
+    fields = []
+    field = ''
+  }
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i]
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (ch === '"') {
+        inQuotes = false
+      } else {
+        if (ch === '\n') line += 1
+        field += ch
+      }
+    } else if (ch === '"') {
+      inQuotes = true
+    } else if (ch === ',') {
+      fields.push(field)
+      field = ''
+    } else if (ch === '\n') {
+      endRow()
+      line += 1
+      rowLine = line
+    } else if (ch !== '\r') {
+      field += ch
+    }
+  }
+  if (field !== '' || fields.length) endRow()
+  return rows
+}
+
+/**
+ * Apply Type Defaults
+ * 
+ * Fills in the shortcuts a bank file is allowed to take, before validation:
+ * - missing "type" means single choice
+ * - true-false questions may leave out "options" and use true/false for "correct"
+ * - numeric questions have no options and may leave out tolerance, range and curve
+ * 
+ * @param {object} question - Parsed question (not modified)
+ * @returns {object} Question with defaults applied
+ */
+const applyTypeDefaults = (question) => {
+  const type = question.type ?? DEFAULT_QUESTION_TYPE
+  if (type === 'numeric') {
+    const tolerance = question.tolerance ?? 0
+    const defaultRange = Number.isFinite(question.correct) && Number.isFinite(tolerance)
+      ? tolerance + Math.max(Math.abs(question.correct) / 4, 1)
+      : undefined
+    return {
+      ...question,
+      type,
+      options: question.options ?? [],
+      tolerance,
+      range: question.range ?? defaultRange,
+      curve: question.curve ?? 'linear',
+    }
+  }
+  if (type !== 'true-false') return { ...question, type }
+  return {
+    ...question,
+    type,
+    options: question.options ?? TRUE_FALSE_OPTIONS,
+    correct: typeof question.correct === 'boolean' ? (question.correct ? 0 : 1) : question.correct,
+  }
+}
+
+/**
+ * Validate Numeric Question
+ * 
+ * Rules:
+ * - options: none
+ * - correct: a finite number (the true value)
+ * - tolerance: number >= 0
+ * - range: number greater than tolerance
+ * - curve: one of NUMERIC_CURVES
+ * - unit: string, if given
+ * 
+ * @param {object} question - Parsed question, with type defaults applied
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+const validateNumeric = ({ options, correct, tolerance, range, curve, unit }) => {
+  const problems = []
+  if (!Array.isArray(options) || options.length) problems.push('numeric questions must not have "options"')
+  if (!Number.isFinite(correct)) problems.push(`"correct" must be a number (found ${JSON.stringify(correct)})`)
+  if (!Number.isFinite(tolerance) || tolerance < 0) {
+    problems.push(`"tolerance" must be a number of 0 or more (found ${JSON.stringify(tolerance)})`)
+  }
+  // (no default range can be worked out without a valid "correct", so don't report it twice)
+  if (range !== undefined && (!Number.isFinite(range) || (Number.isFinite(tolerance) && range <= tolerance))) {
+    problems.push(`"range" must be a number bigger than "tolerance" (found ${JSON.stringify(range)})`)
+  }
+  if (!NUMERIC_CURVES.includes(curve)) {
+    problems.push(`"curve" must be one of ${NUMERIC_CURVES.join(', ')} (found ${JSON.stringify(curve)})`)
+  }
+  if (unit !== undefined && typeof unit !== 'string') problems.push('"unit" must be a string')
+  return problems
+}
+
+/**
+ * Validate Teaching Notes
+ * 
+ * Rules:
+ * - explanation: string, if given
+ * - optionNotes: array of strings or nulls, no longer than "options"
+ *   (numeric questions have no options, so no notes)
+ * 
+ * @param {object} question - Parsed question, with type defaults applied
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+const validateTeachingNotes = ({ type, options, explanation, optionNotes }) => {
+  const problems = []
+  if (explanation !== undefined && explanation !== null && typeof explanation !== 'string') {
+    problems.push('"explanation" must be a string')
+  }
+  if (optionNotes === undefined || optionNotes === null) return problems
+  if (type === 'numeric') return problems.concat('numeric questions must not have "optionNotes"')
+  if (!Array.isArray(optionNotes)) return problems.concat('"optionNotes" must be an array')
+  if (Array.isArray(options) && optionNotes.length > options.length) {
+    problems.push(`"optionNotes" has ${optionNotes.length} entries but there are only ${options.length} options`)
+  }
+  optionNotes.forEach((note, idx) => {
+    if (note !== null && typeof note !== 'string') problems.push(`option note ${idx + 1} must be a string or null`)
+  })
+  return problems
+}
+
+/**
+ * Validate Topics
+ * 
+ * Rules:
+ * - category: string, if given
+ * - tags: array of non-empty strings, if given
+ * 
+ * @param {object} question - Parsed question
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+const validateTopics = ({ category, tags }) => {
+  const problems = []
+  if (category !== undefined && category !== null && typeof category !== 'string') {
+    problems.push('"category" must be a string')
+  }
+  if (tags !== undefined && tags !== null) {
+    if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string' && tag.trim())) {
+      problems.push('"tags" must be an array of non-empty strings')
+    }
+  }
+  return problems
+}
+
+/**
+ * Validate Time Limit
+ * 
+ * Rules:
+ * - timeLimit: number of seconds from MIN_TIME_LIMIT_S to MAX_TIME_LIMIT_S, if given
+ * 
+ * @param {object} question - Parsed question
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+const validateTimeLimit = ({ timeLimit }) => {
+  if (timeLimit === undefined || timeLimit === null) return []
+  if (typeof timeLimit !== 'number' || !(timeLimit >= MIN_TIME_LIMIT_S && timeLimit <= MAX_TIME_LIMIT_S)) {
+    return [`"timeLimit" must be a number of seconds from ${MIN_TIME_LIMIT_S} to ${MAX_TIME_LIMIT_S} (found ${JSON.stringify(timeLimit)})`]
+  }
+  return []
+}
+
+/**
+ * Validate Question
+ * 
+ * Checks one question has everything the game needs.
+ * 
+ * Rules:
+ * - id: non-empty string, not used by another question in the same bank
+ * - type: one of QUESTION_TYPES
+ * - prompt: non-empty string
+ * - options: non-empty strings, as many as the type allows
+ * - correct: whole number pointing at one of the options
+ *   (multi: non-empty array of different option indexes; numeric: see validateNumeric)
+ * - explanation, optionNotes: see validateTeachingNotes
+ * - category, tags: see validateTopics
+ * - timeLimit: see validateTimeLimit
+ * 
+ * @param {*} question - Parsed question, with type defaults applied
+ * @param {Set<string>} seenIds - Ids already used in this bank (updated)
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+const validateQuestion = (question, seenIds) => {
+  const problems = []
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return ['question must be an object']
+  }
+  const { id, type, prompt, options, correct } = question
+  const rules = QUESTION_TYPES[type]
+
+  if (typeof id !== 'string' || !id.trim()) {
+    problems.push('"id" must be a non-empty string')
+  } else if (seenIds.has(id.trim())) {
+    // Compared trimmed, as loaded (see loadBankFile) - "q1" and " q1" are the same id
+    problems.push(`duplicate id "${id.trim()}"`)
+  } else {
+    seenIds.add(id.trim())
+  }
+
+  if (!rules) {
+    problems.push(`"type" must be one of ${Object.keys(QUESTION_TYPES).join(', ')} (found ${JSON.stringify(type)})`)
+    return problems // Can't check options without knowing the type
+  }
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    problems.push('"prompt" must be a non-empty string')
+  }
+  problems.push(...validateTeachingNotes(question))
+  problems.push(...validateTopics(question))
+  problems.push(...validateTimeLimit(question))
+
+  if (type === 'numeric') return problems.concat(validateNumeric(question))
+
+  if (!Array.isArray(options)) {
+    problems.push('"options" must be an array')
+  } else {
+    if (options.length < rules.minOptions || options.length > rules.maxOptions) {
+      const allowed = rules.minOptions === rules.maxOptions
+        ? `exactly ${rules.minOptions}`
+        : `${rules.minOptions}-${rules.maxOptions}`
+      problems.push(`"options" must have ${allowed} entries for a ${type} question (found ${options.length})`)
+    }
+    options.forEach((opt, idx) => {
+      if (typeof opt !== 'string' || !opt.trim()) problems.push(`option ${idx + 1} must be a non-empty string`)
+    })
+  }
+
+  const optionCount = Array.isArray(options) ? options.length : 0
+  const isIndex = (value) => Number.isInteger(value) && value >= 0 && value < optionCount
+  const range = `0 to ${Math.max(0, optionCount - 1)}`
+  if (type === 'multi') {
+    if (!Array.isArray(correct) || !correct.length || !correct.every(isIndex)) {
+      problems.push(`"correct" must be a non-empty array of indexes from ${range} (found ${JSON.stringify(correct)})`)
+    } else if (new Set(correct).size !== correct.length) {
+      problems.push('"correct" lists the same option more than once')
+    }
+  } else if (!isIndex(correct)) {
+    problems.push(`"correct" must be an index from ${range} (found ${JSON.stringify(correct)})`)
+  }
+  return problems
+}
+
+/**
+ * Parse JSON Bank
+ * 
+ * @param {string} file - File name (for error messages)
+ * @param {string} text - File contents
+ * @returns {{name: string|undefined, entries: Array<{line: number|null, question: *}>}} Parsed bank
+ * @throws {BankError} If the file is not valid JSON or has the wrong top-level shape
+ */
+const parseJsonBank = (file, text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    // V8 reports "... at position N"; turn that into a line number
+    const match = /position (\d+)/.exec(err.message)
+    throw new BankError(file, [{ line: match ? lineAt(text, Number(match[1])) : null, message: `invalid JSON: ${err.message}` }])
+  }
+  const list = Array.isArray(data) ? data : data?.questions
+  if (!Array.isArray(list)) {
+    throw new BankError(file, [{ line: 1, message: 'expected an array of questions or an object with a "questions" array' }])
+  }
+  const lines = findQuestionLines(text)
+  return {
+    name: Array.isArray(data) ? undefined : data.name,
+    entries: list.map((question, idx) => ({ line: lines[idx] ?? null, question })),
+  }
+}
+
+/**
+ * Parse Number Cell
+ * 
+ * @param {string} value - Trimmed cell text
+ * @returns {number|string|undefined} Number, undefined for an empty cell, or the raw text if not a number
+ */
+const parseNumberCell = (value) => {
+  if (value === '') return undefined
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value
+}
+
+/**
+ * Parse "correct" Cell
+ * 
+ * @param {string} value - Trimmed cell text
+ * @param {string|undefined} type - Question type from the same row
+ * @returns {*} Index, boolean, array of indexes, number, or the raw text if unrecognised
+ */
+const parseCorrectCell = (value, type) => {
+  if (type === 'numeric') return parseNumberCell(value) ?? (value || null)
+  if (type === 'multi' && /^\d+(\s*;\s*\d+)*$/.test(value)) return value.split(';').map(Number)
+  if (/^\d+$/.test(value)) return Number(value)
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true'
+  return value || null
+}
+
+/**
+ * Parse CSV Bank
+ * 
+ * Turns each row into a question object using the header row.
+ * Columns named option1, option2, ... become the options array (in order),
+ * and note1, note2, ... the matching option notes.
+ * "correct" cells may hold an index, true/false, or semicolon-separated
+ * indexes for multi questions. Anything else is kept as text so validation
+ * can report it.
+ * 
+ * @param {string} file - File name (for error messages)
+ * @param {string} text - File contents
+ * @returns {{name: undefined, entries: Array<{line: number, question: object}>}} Parsed bank
+ * @throws {BankError} If the header row is missing required columns
+ */
+const parseCsvBank = (file, text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, '')) // Strip BOM from spreadsheet exports
+  if (!header) throw new BankError(file, [{ line: 1, message: 'file is empty' }])
+
+  const columns = header.fields.map((col) => col.trim().toLowerCase())
+  const missing = ['id', 'prompt', 'correct'].filter((col) => !columns.includes(col))
+  const numberedColumns = (prefix) => columns
+    .map((col, idx) => ({ idx, n: new RegExp(`^${prefix}(\\d+)$`).exec(col)?.[1] }))
+    .filter((col) => col.n)
+    .sort((a, b) => Number(a.n) - Number(b.n))
+  const optionColumns = numberedColumns('option')
+  const noteColumns = numberedColumns('note')
+  if (!optionColumns.length) missing.push('option1')
+  if (missing.length) {
+    throw new BankError(file, [{ line: header.line, message: `header is missing column(s): ${missing.join(', ')}` }])
+  }
+
+  const cell = (row, name) => (row.fields[columns.indexOf(name)] ?? '').trim()
+  return {
+    name: undefined,
+    entries: rows.map((row) => {
+      const options = optionColumns.map(({ idx }) => (row.fields[idx] ?? '').trim())
+      // Allow trailing empty option cells, but keep gaps so validation catches them
+      while (options.length && options[options.length - 1] === '') options.pop()
+      const type = columns.includes('type') ? cell(row, 'type').toLowerCase() || undefined : undefined
+      const question = {
+        id: cell(row, 'id'),
+        type,
+        prompt: cell(row, 'prompt'),
+        // True/false and numeric rows may leave the option cells empty
+        options: (type === 'true-false' || type === 'numeric') && !options.length ? undefined : options,
+        correct: parseCorrectCell(cell(row, 'correct'), type),
+      }
+      if (type === 'numeric') {
+        // Optional numeric columns; empty cells fall back to the defaults
+        if (columns.includes('tolerance')) question.tolerance = parseNumberCell(cell(row, 'tolerance'))
+        if (columns.includes('range')) question.range = parseNumberCell(cell(row, 'range'))
+        if (columns.includes('curve')) question.curve = cell(row, 'curve').toLowerCase() || undefined
+        if (columns.includes('unit')) question.unit = cell(row, 'unit') || undefined
+      }
+      // Optional teaching notes; note1 belongs to option1 and so on
+      if (columns.includes('explanation')) question.explanation = cell(row, 'explanation') || undefined
+      // Optional topics
+      if (columns.includes('category')) question.category = cell(row, 'category') || undefined
+      if (columns.includes('tags')) {
+        const tags = cell(row, 'tags').split(';').map((tag) => tag.trim()).filter(Boolean)
+        if (tags.length) question.tags = tags
+      }
+      // Optional time limit; header names are lowercased above
+      if (columns.includes('timelimit')) question.timeLimit = parseNumberCell(cell(row, 'timelimit'))
+      if (noteColumns.length) {
+        const notes = []
+        noteColumns.forEach(({ idx, n }) => {
+          notes[Number(n) - 1] = (row.fields[idx] ?? '').trim() || null
+        })
+        // Numeric rows and rows without any notes leave the field out
+        if (notes.some(Boolean)) question.optionNotes = Array.from(notes, (note) => note ?? null)
+      }
+      return { line: row.line, question }
+    }),
+  }
+}
+
+/**
+ * Load One Bank File
+ * 
+ * Reads, parses and validates a single bank file.
+ * 
+ * @param {string} filePath - Absolute path to the file
+ * @returns {{id: string, name: string, file: string, questions: Array<object>}} The bank
+ * @throws {BankError} If anything in the file is invalid
+ */
+const loadBankFile = (filePath) => {
+  const file = path.basename(filePath)
+  const ext = path.extname(file).toLowerCase()
+  const text = fs.readFileSync(filePath, 'utf8')
+  const { name, entries } = ext === '.csv' ? parseCsvBank(file, text) : parseJsonBank(file, text)
+
+  // Check every question and collect all problems before giving up
+  const problems = []
+  const seenIds = new Set()
+  const checked = entries.map(({ line, question }, idx) => {
+    const withDefaults = question && typeof question === 'object' ? applyTypeDefaults(question) : question
+    validateQuestion(withDefaults, seenIds).forEach((message) => {
+      problems.push({ line, message: `question ${idx + 1}: ${message}` })
+    })
+    return withDefaults
+  })
+  if (!entries.length) problems.push({ line: null, message: 'bank has no questions' })
+  if (problems.length) throw new BankError(file, problems)
+
+  const id = path.basename(file, ext)
+  return {
+    id,
+    name: typeof name === 'string' && name.trim() ? name.trim() : id,
+    file,
+    // Keep only the fields the game uses
+    questions: checked.map((question) => ({
+      id: question.id.trim(),
+      type: question.type,
+      prompt: question.prompt.trim(),
+      options: question.options.map((opt) => opt.trim()),
+      correct: question.type === 'multi' ? [...question.correct].sort((a, b) => a - b) : question.correct,
+      // Closeness scoring settings for numeric questions
+      ...(question.type === 'numeric' && {
+        tolerance: question.tolerance,
+        range: question.range,
+        curve: question.curve,
+        unit: question.unit?.trim() || '',
+      }),
+      // Teaching notes for the reveal ('' where there is none)
+      explanation: question.explanation?.trim() || '',
+      ...(question.type !== 'numeric' && {
+        optionNotes: question.options.map((_, idx) => question.optionNotes?.[idx]?.trim() || ''),
+      }),
+      // Category first, then tags; duplicates (ignoring case) dropped
+      tags: [question.category, ...(question.tags || [])]
+        .map((tag) => tag?.trim())
+        .filter((tag, idx, list) => tag && list.findIndex((t) => t?.toLowerCase() === tag.toLowerCase()) === idx),
+      // Seconds for this question (null = the room's default)
+      timeLimit: question.timeLimit ?? null,
+    })),
+  }
+}
+
+/**
+ * Load Question Banks
+ * 
+ * Loads every .json and .csv file in a directory.
+ * 
+ * On reload, pass the currently loaded banks as `previous`: if a file that
+ * used to be valid is now broken, the old copy is kept so a typo doesn't
+ * take a bank away in the middle of a class.
+ * 
+ * @param {string} dir - Directory containing bank files
+ * @param {Map<string, object>} [previous] - Banks from the last load
+ * @returns {{banks: Map<string, object>, errors: Array<{file: string, line: number|null, message: string}>}}
+ *   Loaded banks by id, and every problem found in rejected files
+ */
+const loadQuestionBanks = (dir, previous = new Map()) => {
+  const banks = new Map()
+  const errors = []
+
+  let files = []
+  try {
+    files = fs.readdirSync(dir).filter((f) => /\.(json|csv)$/i.test(f)).sort()
+  } catch (err) {
+    errors.push({ file: dir, line: null, message: `cannot read bank directory: ${err.message}` })
+  }
+
+  for (const file of files) {
+    const id = path.basename(file, path.extname(file))
+    try {
+      if (banks.has(id)) throw new BankError(file, [{ line: null, message: `another file already uses the bank id "${id}"` }])
+      banks.set(id, loadBankFile(path.join(dir, file)))
+    } catch (err) {
+      const problems = err instanceof BankError ? err.problems : [{ line: null, message: err.message }]
+      problems.forEach((p) => errors.push({ file, ...p }))
+      if (previous.has(id) && !banks.has(id)) banks.set(id, previous.get(id)) // Keep last good copy
+    }
+  }
+  return { banks, errors }
+}
+
+/**
+ * Format Bank Error
+ * 
+ * @param {{file: string, line: number|null, message: string}} error - One problem
+ * @returns {string} e.g. "economics.csv:7: question 6: duplicate id "q5""
+ */
+const formatBankError = ({ file, line, message }) => `${file}${line ? `:${line}` : ''}: ${message}`
+
+module.exports = { loadQuestionBanks, formatBankError, BankError, MIN_TIME_LIMIT_S, MAX_TIME_LIMIT_S }
@@ -0,0 +1,93 @@
+/**
+ * Economics Quiz - Rate Limiting
+ * 
+ * Stops one connection from flooding the server (and, through the broadcasts
+ * its messages cause, everyone else in its room).
+ * 
+ * How it works:
+ * 1. Every connection gets its own limiter with one token bucket per message type
+ * 2. A bucket holds up to `burst` tokens and refills at `perSecond` tokens a second
+ * 3. Each message takes a token; a message that finds its bucket empty is dropped
+ *    and counts as a strike against the connection
+ * 4. MAX_STRIKES strikes within STRIKE_WINDOW_MS and server.js disconnects it
+ * 
+ * Messages that aren't valid JSON or fail the protocol check share the 'invalid' bucket.
+ */
+
+const STRIKE_WINDOW_MS = 60 * 1000 // Strikes are counted over a minute
+const MAX_STRIKES = 20 // Dropped messages allowed per window before disconnecting
+
+/**
+ * Rate Limits
+ * 
+ * Per message type: { burst, perSecond }. Types not listed use 'default'.
+ * Normal play never gets close; the tight ones guard messages that are
+ * expensive (a broadcast or a restart) and that nobody needs to repeat quickly.
+ */
+const RATE_LIMITS = {
+  default: { burst: 10, perSecond: 5 }, // Lobby settings, timer controls, ...
+  invalid: { burst: 5, perSecond: 1 }, // Malformed or rejected messages
+  answer: { burst: 3, perSecond: 1 },
+  'set-name': { burst: 3, perSecond: 0.2 },
+  resume: { burst: 3, perSecond: 0.1 },
+  resync: { burst: 3, perSecond: 0.2 },
+  'create-room': { burst: 3, perSecond: 0.1 },
+  'join-room': { burst: 5, perSecond: 0.5 },
+  'admin-login': { burst: 3, perSecond: 0.1 },
+  'admin-restart': { burst: 2, perSecond: 1 / 30 },
+  'reload-banks': { burst: 2, perSecond: 1 / 30 },
+  'export-results': { burst: 3, perSecond: 0.2 },
+  'get-audit': { burst: 3, perSecond: 0.2 },
+}
+
+/**
+ * Create Rate Limiter
+ * 
+ * One per connection.
+ * 
+ * @param {object} [limits] - Limits table (defaults to RATE_LIMITS)
+ * @returns {object} { take }
+ */
+const createRateLimiter = (limits = RATE_LIMITS) => {
+  const buckets = new Map() // type -> { tokens, updatedAt, limited }
+  let strikes = { count: 0, windowStart: 0 }
+
+  /**
+   * Take
+   * 
+   * Spends a token for one message.
+   * 
+   * @param {string} type - Message type, or 'invalid'
+   * @returns {object} { ok: true } or { ok: false, first, disconnect }
+   *   - first: This is the first dropped message since the bucket last let one through
+   *     (so the caller can reply and log once per burst, not once per message)
+   *   - disconnect: The connection has used up its strikes
+   */
+  const take = (type) => {
+    const now = Date.now()
+    const limit = limits[type] || limits.default
+    let bucket = buckets.get(type)
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now, limited: false }
+      buckets.set(type, bucket)
+    }
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond)
+    bucket.updatedAt = now
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1
+      bucket.limited = false
+      return { ok: true }
+    }
+
+    // Start a fresh strike window once the old one has passed
+    if (now - strikes.windowStart >= STRIKE_WINDOW_MS) strikes = { count: 0, windowStart: now }
+    strikes.count += 1
+    const first = !bucket.limited
+    bucket.limited = true
+    return { ok: false, first, disconnect: strikes.count >= MAX_STRIKES }
+  }
+
+  return { take }
+}
+
+module.exports = { createRateLimiter, RATE_LIMITS }
@@ -0,0 +1,123 @@
+/**
+ * Economics Quiz - Results Report
+ * 
+ * Turns a finished game's answer log into a gradebook teachers can download.
+ * 
+ * How it works:
+ * 1. server.js appends one log entry per question when it is revealed
+ *    (every answer with its choice, correctness, response time and points)
+ * 2. buildReport combines the log with the room's player records and final scores
+ * 3. The host downloads it as JSON (the report object as is) or as CSV
+ *    (one row per player per question, players who didn't answer included)
+ */
+
+/**
+ * Describe Choice
+ * 
+ * Readable text for an answer or a correct answer, e.g. "B) Opportunity cost",
+ * "A) ...; C) ..." for multi-select, or "8.5 %" for numeric questions.
+ * 
+ * @param {object} question - Log entry for the question ({ type, options, unit })
+ * @param {number|Array<number>|null} choice - Option index, indexes, or number
+ * @returns {string} Display text ('' for no answer)
+ */
+const describeChoice = (question, choice) => {
+  if (choice === null || choice === undefined) return ''
+  if (question.type === 'numeric') return question.unit ? `${choice} ${question.unit}` : String(choice)
+  const picks = Array.isArray(choice) ? choice : [choice]
+  return picks
+    .map((idx) => `${String.fromCharCode(65 + idx)}) ${question.options[idx] ?? ''}`)
+    .join('; ')
+}
+
+/**
+ * Build Report
+ * 
+ * @param {object} room - Room whose game has ended
+ * @param {string} bankName - Display name of the question bank that was played
+ * @returns {object} { roomCode, bank, scoringMode, startedAt, endedAt, players, questions }
+ */
+const buildReport = (room, bankName) => {
+  const { session } = room
+  const ids = new Set([...Object.keys(room.members), ...Object.keys(session.scores)])
+  const players = Array.from(ids)
+    .map((id) => ({
+      id,
+      name: room.members[id]?.name || 'Unnamed',
+      score: session.scores[id] || 0,
+    }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+  // Equal scores share a rank (1, 2, 2, 4)
+  players.forEach((player, i) => {
+    player.rank = i > 0 && players[i - 1].score === player.score ? players[i - 1].rank : i + 1
+  })
+
+  return {
+    roomCode: room.code,
+    bank: { id: session.bankId, name: bankName },
+    scoringMode: session.scoringMode,
+    startedAt: session.gameStartedAt ? new Date(session.gameStartedAt).toISOString() : null,
+    endedAt: session.gameEndedAt ? new Date(session.gameEndedAt).toISOString() : null,
+    players,
+    questions: session.log,
+  }
+}
+
+/**
+ * Escape CSV Cell
+ * 
+ * Quotes a value if it contains a comma, quote or line break (RFC 4180).
+ * Cells starting with = + - @ are prefixed with ' so spreadsheet apps
+ * don't run them as formulas.
+ * 
+ * @param {*} value - Cell value
+ * @returns {string} Safe CSV cell
+ */
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Format Report as CSV
+ * 
+ * One row per player per question, sorted by rank then question order.
+ * Columns: player, player_id, rank, total_score, question_number, question_id,
+ * prompt, answer, correct_answer, result, credit, response_ms, points
+ * 
+ * @param {object} report - Result of buildReport
+ * @returns {string} CSV text (with header row)
+ */
+const formatCsv = (report) => {
+  const header = [
+    'player', 'player_id', 'rank', 'total_score', 'question_number', 'question_id',
+    'prompt', 'answer', 'correct_answer', 'result', 'credit', 'response_ms', 'points',
+  ]
+  const rows = [header]
+  for (const player of report.players) {
+    for (const question of report.questions) {
+      const answer = question.answers.find((a) => a.playerId === player.id)
+      let result = 'no answer'
+      if (answer) result = answer.correct ? 'correct' : answer.credit > 0 ? 'partial' : 'wrong'
+      rows.push([
+        player.name,
+        player.id,
+        player.rank,
+        player.score,
+        question.questionIndex + 1,
+        question.questionId,
+        question.prompt,
+        describeChoice(question, answer?.choice),
+        describeChoice(question, question.correct),
+        result,
+        answer ? Math.round(answer.credit * 100) / 100 : '',
+        answer ? answer.responseMs : '',
+        answer ? answer.points : 0,
+      ])
+    }
+  }
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+module.exports = { buildReport, formatCsv }
@@ -16,42 +16,204 @@
  * - This allows real-time updates without clients constantly polling
  */
 
+const crypto = require('crypto')
+const http = require('http')
+const path = require('path')
 const { WebSocketServer } = require('ws')
+const { loadQuestionBanks, formatBankError, MIN_TIME_LIMIT_S, MAX_TIME_LIMIT_S } = require('./questionBank')
+const { createAdminAuth } = require('./auth')
+const { createPlayerRegistry } = require('./identity')
+const { createStore } = require('./store')
+const { buildReport, formatCsv } = require('./report')
+const { buildAnalytics } = require('./analytics')
+const { validateMessage, PROTOCOL_VERSION } = require('./protocol')
+const { diffState } = require('./statePatch')
+const { createRateLimiter } = require('./rateLimit')
+const { createMetrics } = require('./metrics')
+const { createLogger } = require('./logger')
 
 // Server Configuration
 const PORT = process.env.PORT || 3001 // Use environment variable or default to 3001
-const QUESTION_DURATION_MS = 15000 // 15 seconds per question
+const QUESTION_DURATION_MS = 15000 // 15 seconds per question, unless the host or the question says otherwise
+const DEFAULT_ADD_TIME_MS = 15000 // "Add time" gives another 15 seconds unless told otherwise
+const MAX_ADD_TIME_MS = 5 * 60 * 1000 // One "add time" can't add more than 5 minutes
+const DEFAULT_REVEAL_DELAY_MS = 8000 // Auto-advance: how long each reveal stays up by default
+const MIN_REVEAL_DELAY_S = 3 // Auto-advance reveal delay the host can pick, in seconds
+const MAX_REVEAL_DELAY_S = 120
+const FINAL_RESULTS_MS = 30000 // Auto-return: how long the final rankings show before the lobby
+const ROOM_CODE_LENGTH = 5 // Characters in a room join code
+const ROOM_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789' // No 0/O or 1/I/L look-alikes
+const EMPTY_ROOM_TTL_MS = 60000 // Keep empty rooms for 1 minute so players can reconnect
+const RESTORED_ROOM_TTL_MS = 10 * 60 * 1000 // After a restart, give players 10 minutes to resume
+const OFFLINE_GRACE_MS = Number(process.env.OFFLINE_GRACE_MS) || 2 * 60 * 1000 // Disconnected players stay listed this long
+const HEARTBEAT_INTERVAL_MS = 10000 // Ping every connection this often
+const MAX_MISSED_PONGS = 2 // Connections that miss this many pings in a row are closed
+const REPLACED_CLOSE_CODE = 4001 // Close code for a socket whose identity was resumed elsewhere (the client doesn't reconnect)
+const LATENCY_GOOD_MS = 150 // Round trips up to this are a "good" connection
+const LATENCY_FAIR_MS = 400 // Up to this "fair"; slower (or a missed ping) is "poor"
+const STORE_KIND = process.env.STORE || 'file' // Where game state is saved: 'file' or 'memory'
+const SAVE_DEBOUNCE_MS = 1000 // Changes are written to the store at most once a second
+const STORE_FILE = process.env.STORE_FILE || path.join(__dirname, 'data', 'quiz-state.json') // File store location
+const QUESTION_BANK_DIR = process.env.QUESTION_BANK_DIR || path.join(__dirname, 'questions') // Where bank files live
+const DEFAULT_BANK_ID = process.env.DEFAULT_QUESTION_BANK || 'economics' // Bank new rooms start with
+const SCORING_MODES = ['classic', 'speed'] // classic: +1 per correct answer, speed: faster = more points
+const SPEED_MAX_POINTS = 1000 // Speed mode: correct answer submitted instantly
+const SPEED_MIN_POINTS = 500 // Speed mode: correct answer submitted as the timer runs out
+const HISTOGRAM_BINS = 8 // Bars in the numeric-question guess histogram
+const MAX_MESSAGE_BYTES = 4 * 1024 // Larger client frames close the connection (real messages are well under 1 KB)
+const BROADCAST_BATCH_MS = 100 // Changes within this long of each other (e.g. a burst of answers) go out as one update
+const GAME_LOOP_STALL_MS = 5000 // /healthz fails if the 500ms timer loop hasn't run for this long
+const TRUST_PROXY = process.env.TRUST_PROXY ? process.env.TRUST_PROXY === 'true' : process.env.NODE_ENV === 'production' // Behind a proxy that appends X-Forwarded-For
+const MAX_AUDIT_ENTRIES = 500 // Audit trail entries kept per room (oldest dropped first)
+const AUDIT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000 // A room's audit trail is kept a week after its last entry
 
 /**
- * Question Bank
+ * Logger
  * 
- * Array of quiz questions. Each question has:
- * - id: Unique identifier
+ * Structured JSON lines (see logger.js). LOG_LEVEL picks how much is written:
+ * 'debug' adds rejected messages, the default 'info' has connections,
+ * rooms and the audit trail, 'warn' only problems.
+ * Each connection logs through a child carrying its connectionId.
+ */
+const log = createLogger({ level: process.env.LOG_LEVEL })
+
+/**
+ * Question Banks
+ * 
+ * Questions are loaded from .json/.csv files in QUESTION_BANK_DIR
+ * (see questionBank.js for the file formats and validation rules).
+ * 
+ * Map of bank id -> { id, name, file, questions }
+ * Each question has:
+ * - id: Unique identifier (within its bank)
+ * - type: 'single', 'true-false', 'multi' (select all that apply) or 'numeric'
  * - prompt: The question text
- * - options: Array of 4 answer choices
- * - correct: Index of the correct answer (0-3)
+ * - options: Array of 2-6 answer choices (empty for numeric)
+ * - correct: Index of the correct answer (multi: sorted array of indexes; numeric: the true value)
+ * - tolerance, range, curve, unit: closeness scoring settings (numeric only)
+ * - explanation, optionNotes: teaching notes shown at the reveal ('' when missing)
+ * - tags: topics the host can filter on when drawing questions (category first)
+ * 
+ * Reloaded on SIGHUP or when the host sends 'reload-banks' from the lobby.
+ * Games already running keep the questions they started with.
+ */
+let questionBanks = new Map()
+
+/**
+ * Load Question Banks
+ * 
+ * (Re)reads every bank file and logs any rejected files with their line numbers.
+ * Files that break on reload keep their last good version.
+ * 
+ * @returns {Array<object>} Problems found in rejected files
+ */
+const reloadQuestionBanks = () => {
+  const { banks, errors } = loadQuestionBanks(QUESTION_BANK_DIR, questionBanks)
+  questionBanks = banks
+  errors.forEach((err) => log.warn('question bank rejected', { problem: formatBankError(err) }))
+  log.info('question banks loaded', { dir: QUESTION_BANK_DIR, banks: [...banks.keys()] })
+  return errors
+}
+
+/**
+ * Default Bank ID
+ * 
+ * Bank a new room starts with: DEFAULT_QUESTION_BANK if it exists,
+ * otherwise the first bank alphabetically.
+ * 
+ * @returns {string|null} Bank id, or null if no banks are loaded
+ */
+const defaultBankId = () =>
+  questionBanks.has(DEFAULT_BANK_ID) ? DEFAULT_BANK_ID : questionBanks.keys().next().value ?? null
+
+/**
+ * List Banks
+ * 
+ * Summary of every loaded bank for the lobby's bank picker.
+ * 
+ * @returns {Array<{id: string, name: string, count: number}>} Loaded banks
+ */
+const listBanks = () =>
+  Array.from(questionBanks.values()).map((bank) => ({
+    id: bank.id,
+    name: bank.name,
+    count: bank.questions.length,
+    topics: bankTopics(bank), // For the lobby's topic filter
+  }))
+
+/**
+ * Bank Topics
+ * 
+ * @param {object} bank - Loaded question bank
+ * @returns {Array<{name: string, count: number}>} Every tag in the bank with how many questions carry it
+ */
+const bankTopics = (bank) => {
+  const topics = new Map() // lowercase name -> { name, count }
+  bank.questions.forEach((question) => {
+    question.tags.forEach((tag) => {
+      const key = tag.toLowerCase()
+      if (!topics.has(key)) topics.set(key, { name: tag, count: 0 })
+      topics.get(key).count += 1
+    })
+  })
+  return Array.from(topics.values()).sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Matching Questions
+ * 
+ * @param {object} bank - Loaded question bank
+ * @param {string} topic - Tag to filter on ('' = every question)
+ * @returns {Array<object>} Questions in bank order
+ */
+const matchingQuestions = (bank, topic) =>
+  topic
+    ? bank.questions.filter((q) => q.tags.some((tag) => tag.toLowerCase() === topic.toLowerCase()))
+    : bank.questions
+
+/**
+ * Shuffle
  * 
- * This is the complete set of questions for the quiz.
+ * Fisher-Yates shuffle into a new array.
+ * 
+ * @param {Array} list - Items to shuffle (not modified)
+ * @returns {Array} Shuffled copy
  */
-const questions = [
-  { id: 'q1', prompt: 'What is inflation?', options: ['A general rise in prices', 'A drop in all prices', 'Only stock prices rising', 'Interest rates falling'], correct: 0 },
-  { id: 'q2', prompt: 'GDP stands for?', options: ['Gross Domestic Product', 'Global Debt Position', 'Government Deposit Portfolio', 'General Demand Price'], correct: 0 },
-  { id: 'q3', prompt: 'A budget is balanced when?', options: ['Spending is below revenue', 'Spending equals revenue', 'Spending is double revenue', 'There is no tax collected'], correct: 1 },
-  { id: 'q4', prompt: 'A central bank mainly does what?', options: ['Prints textbooks', 'Manages money supply and interest rates', 'Sets grocery prices', 'Runs private banks'], correct: 1 },
-  { id: 'q5', prompt: 'If demand rises and supply stays the same, price usually?', options: ['Goes up', 'Goes down', 'Stays the same', 'Becomes zero'], correct: 0 },
-  { id: 'q6', prompt: 'Which of these is money?', options: ['Bank deposits', 'Movie tickets', 'Coupons', 'A promise on paper'], correct: 0 },
-  { id: 'q7', prompt: 'The unemployment rate measures?', options: ['Everyone without a job', 'People not working and not looking', 'The share of the labor force looking for work', 'Only students'], correct: 2 },
-  { id: 'q8', prompt: 'Trade can make countries better off because of?', options: ['Self-sufficiency', 'Comparative advantage', 'Zero imports', 'Equal wages everywhere'], correct: 1 },
-  { id: 'q9', prompt: 'Higher interest rates usually make borrowing?', options: ['Cheaper', 'More expensive', 'Free', 'Impossible'], correct: 1 },
-  { id: 'q10', prompt: 'Saving vs investing: which is true?', options: ['Saving never has risk', 'Investing can pay more but has risk', 'Both always lose money', 'Investing has no risk'], correct: 1 },
-]
+const shuffle = (list) => {
+  const copy = [...list]
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[copy[i], copy[j]] = [copy[j], copy[i]]
+  }
+  return copy
+}
+
+/**
+ * Draw Questions
+ * 
+ * Picks the questions for a new game using the room's lobby settings:
+ * topic filter, how many questions, and random or bank order.
+ * With random order the questions are a random sample, so
+ * different class sections get different questions.
+ * 
+ * @param {object} session - Room session
+ * @returns {Array<object>} Questions for the game (empty if the bank is gone or nothing matches)
+ */
+const drawQuestions = (session) => {
+  const bank = questionBanks.get(session.bankId)
+  if (!bank) return []
+  const pool = matchingQuestions(bank, session.topic)
+  const ordered = session.randomOrder ? shuffle(pool) : pool
+  return session.questionCount > 0 ? ordered.slice(0, session.questionCount) : ordered
+}
 
 /**
  * Client Storage
  * 
- * Map that stores all connected clients.
+ * Map that stores all connected clients, whichever room they are in.
  * Key: WebSocket connection object
- * Value: Client metadata (id, color, name)
+ * Value: Client metadata (id, color, name, roomCode, adminToken)
+ *   plus heartbeat bookkeeping (pingSentAt, awaitingPong, missedPongs, latencyMs) - see the heartbeat loop
  * 
  * Why Map instead of Array:
  * - Fast lookup by WebSocket object
@@ -61,61 +223,179 @@ const questions = [
 const clients = new Map()
 
 /**
- * Admin Password
+ * Room Storage
  * 
- * Password required for admin actions (restart quiz).
- * In production, this should be stored as an environment variable.
+ * Map of all active quiz rooms.
+ * Key: Room join code (e.g. "K7QPD")
+ * Value: Room object (see createRoom)
+ * 
+ * Each room runs its own independent game, so several class sections
+ * can play at the same time on one server.
  */
-const ADMIN_PASSWORD = '1234'
+const rooms = new Map()
 
 /**
- * Game Session State
+ * Audit Trails
+ * 
+ * Privileged actions per room (see recordAudit), kept apart from the rooms
+ * so a trail outlives its room: a host can still read it after everyone
+ * has left and the room was cleaned up.
  * 
- * This is the "source of truth" for the entire game.
- * All clients receive updates based on this state.
+ * Key: Room join code
+ * Value: { updatedAt, entries } - entries oldest first, at most MAX_AUDIT_ENTRIES
+ * 
+ * Saved with the game state; dropped AUDIT_RETENTION_MS after the last entry.
+ * Codes with a trail aren't handed out to new rooms while it is kept.
+ */
+const auditTrails = new Map()
+
+/**
+ * Game State Store
+ * 
+ * Rooms are saved after changes (batched, see saveState) and rebuilt on startup (see store.js),
+ * so a restart doesn't end the games in progress.
+ */
+const store = createStore(STORE_KIND, { filePath: STORE_FILE, log })
+const savedState = store.load()
+
+/**
+ * Admin Authentication
+ * 
+ * Admin actions (restart quiz) need a session token from 'admin-login'.
+ * The password itself is only known to the server as a hash, read from
+ * ADMIN_PASSWORD_HASH (see auth.js for how to create one).
+ */
+const adminAuth = createAdminAuth(process.env.ADMIN_PASSWORD_HASH)
+
+/**
+ * Player Identities
+ * 
+ * Client IDs are handed out by the server together with a signed resume token.
+ * Scores are keyed by client ID, so only the holder of the token can get
+ * them back after a reconnect (see identity.js).
+ */
+// Without RESUME_TOKEN_SECRET a random secret is kept in the saved state,
+// so resume tokens still work after a restart
+const resumeSecret = process.env.RESUME_TOKEN_SECRET || savedState?.resumeSecret || crypto.randomBytes(32).toString('hex')
+const playerRegistry = createPlayerRegistry(resumeSecret)
+
+/**
+ * Metrics
+ * 
+ * Served at /metrics in the Prometheus format (see metrics.js and handleHttpRequest).
+ * Gauges are read when scraped; the rest are updated as things happen.
+ */
+const metrics = createMetrics()
+metrics.gauge('quiz_connections', 'Open WebSocket connections', () => clients.size)
+metrics.gauge('quiz_rooms', 'Rooms in memory, by game phase', () =>
+  ['lobby', 'question', 'reveal', 'ended'].map((phase) => ({
+    labels: { phase },
+    value: Array.from(rooms.values()).filter((room) => room.session.phase === phase).length,
+  }))
+)
+const connectionsOpened = metrics.counter('quiz_connections_opened_total', 'WebSocket connections accepted')
+const messagesReceived = metrics.counter('quiz_messages_received_total', 'Client messages handled, by type')
+const messagesDropped = metrics.counter('quiz_messages_dropped_total', 'Client messages dropped, by reason (invalid, rate-limited)')
+const errorsSent = metrics.counter('quiz_errors_sent_total', "'error' replies sent, by code")
+const updatesSent = metrics.counter('quiz_state_updates_sent_total', "State updates sent to clients, by kind ('state' or 'patch')")
+const broadcastLatency = metrics.histogram(
+  'quiz_broadcast_latency_seconds',
+  'Time from a state change to its update being sent (includes the 0.1s batching window)',
+  [0.1, 0.105, 0.11, 0.125, 0.15, 0.2, 0.3, 0.5, 1, 2]
+)
+const answersAccepted = metrics.counter('quiz_answers_total', 'Answers accepted')
+const answersPerQuestion = metrics.histogram(
+  'quiz_answers_per_question',
+  'Answers a question had when it was revealed',
+  [0, 1, 5, 10, 20, 30, 50, 100, 200, 500]
+)
+
+/**
+ * Create Game Session State
+ * 
+ * Every room has its own session. This is the "source of truth" for that room's game.
+ * All clients in the room receive updates based on this state.
  * 
  * Structure:
  * - phase: Current game phase (lobby, question, reveal, ended)
+ * - bankId: Question bank picked in the lobby
+ * - questions: Questions for the running game (copied from the bank at start)
+ * - scoringMode: 'classic' (+1 per correct answer) or 'speed' (faster = more points)
+ * - showLiveCounts: Whether players see per-option answer counts before the reveal (host decides)
+ * - defaultDurationMs: Time per question for questions without their own timeLimit (host decides)
+ * - questionCount / topic / randomOrder: How the next game's questions are drawn from the bank
+ *   (0 = all questions, '' = every topic)
+ * - shuffleOptions: Whether each player sees the options in their own random order
+ * - optionOrders: Each player's option order for the current question (playerId -> order)
  * - questionIndex: Which question is currently active (-1 = no question)
+ * - startedAt: Timestamp when current question started (for speed scoring)
  * - endsAt: Timestamp when current question phase ends (for auto-reveal)
+ * - durationMs: Full length of the current question (its timeLimit or the default), including added time
+ * - pausedAt: When the host paused the timer (null = running)
+ * - pausedMs: Total time the current question has spent paused (left out of response times)
+ * - autoReveal: Reveal as soon as every connected named player has answered (host decides)
+ * - autoAdvance / revealDelayMs: Move on by itself this long after each reveal (host decides)
+ * - autoReturn: After an auto-advanced game ends, go back to the lobby after FINAL_RESULTS_MS
+ * - advanceAt: When the reveal moves on by itself (null = wait for the host)
+ * - lobbyAt: When the final results go back to the lobby by themselves (null = wait for the host)
  * - answers: Object mapping player IDs to their answers for current question
+ * - results: Object mapping player IDs to their points breakdown for the last revealed question
  * - scores: Object mapping player IDs to their total scores across all questions
+ * - log: One entry per revealed question with every answer, kept for the results export
+ * - gameStartedAt / gameEndedAt: When the current game started and ended (for the export)
+ * 
+ * @returns {object} Fresh lobby session
  */
-let session = {
+const createSession = () => ({
   phase: 'lobby', // lobby | question | reveal | ended
+  bankId: defaultBankId(),
+  questions: [], // Snapshot taken at start so a bank reload can't change a running game
+  scoringMode: 'classic', // classic | speed
+  showLiveCounts: false, // Players only see counts at reveal unless the host allows it
+  defaultDurationMs: QUESTION_DURATION_MS, // A question's own timeLimit wins over this
+  questionCount: 0, // 0 = every matching question
+  topic: '', // '' = every topic
+  randomOrder: true, // Random sample in random order, so sections don't share an answer sequence
+  shuffleOptions: true, // Per-player option order (never for true/false)
+  optionOrders: {}, // playerId -> [bank option index shown at position 0, 1, ...]
   questionIndex: -1,
+  startedAt: null,
   endsAt: null,
-  answers: {}, // userId -> { optionIndex, ts }
+  durationMs: QUESTION_DURATION_MS,
+  pausedAt: null,
+  pausedMs: 0,
+  autoReveal: true, // Don't keep everyone waiting once all answers are in
+  autoAdvance: false, // Host clicks Next unless this is on
+  revealDelayMs: DEFAULT_REVEAL_DELAY_MS,
+  autoReturn: false,
+  advanceAt: null,
+  lobbyAt: null,
+  answers: {}, // userId -> { optionIndex, ts, elapsedMs }
+  results: {}, // userId -> { correct, responseMs, basePoints, speedBonus, points }
   scores: {}, // userId -> number
-}
-
-/**
- * Generate Random ID
- * 
- * Creates a unique identifier for each client.
- * Uses hexadecimal characters for compact representation.
- * 
- * @returns {string} Random 16-character hex string
- */
-const randomId = () => Math.random().toString(16).slice(2) + Math.random().toString(16).slice(2)
+  log: [], // [{ questionIndex, questionId, type, prompt, options, correct, unit, answers: [...] }]
+  gameStartedAt: null,
+  gameEndedAt: null,
+})
 
 /**
- * Broadcast Message to All Clients
+ * Broadcast Message to Room
  * 
- * Sends a message to all connected clients except optionally one.
+ * Sends a message to all clients in a room except optionally one.
  * 
  * How it works:
  * 1. Convert message object to JSON string
- * 2. Loop through all clients in the Map
+ * 2. Loop through all clients in the room's Map
  * 3. Check if client connection is open
  * 4. Send message to each client
  * 
+ * @param {object} room - Room to broadcast to
  * @param {object} payload - Message to send
  * @param {WebSocket} exclude - Optional client to exclude from broadcast
  */
-const broadcast = (payload, exclude) => {
+const broadcast = (room, payload, exclude) => {
   const message = JSON.stringify(payload) // Convert to JSON string
-  for (const [client] of clients) {
+  for (const [client] of room.clients) {
     // Check if connection is open and not the excluded client
     if (client.readyState === client.OPEN && client !== exclude) {
       client.send(message) // Send message via WebSocket
@@ -123,112 +403,944 @@ const broadcast = (payload, exclude) => {
   }
 }
 
+/**
+ * Generate Room Code
+ * 
+ * Creates a short, human-friendly join code that is not already in use.
+ * Leaves out characters that are easy to confuse when read aloud or
+ * copied from a projector (0/O, 1/I/L).
+ * 
+ * @returns {string} Unused room code, e.g. "K7QPD"
+ */
+const generateRoomCode = () => {
+  let code
+  do {
+    code = ''
+    for (let i = 0; i < ROOM_CODE_LENGTH; i += 1) {
+      code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)]
+    }
+  } while (rooms.has(code) || auditTrails.has(code)) // Try again on collision (or a kept audit trail)
+  return code
+}
+
+/**
+ * Normalize Room Code
+ * 
+ * Players type codes by hand, so accept lowercase and surrounding spaces.
+ * 
+ * @param {*} value - Raw code from a client message
+ * @returns {string} Uppercased code, or '' if not a string
+ */
+const normalizeRoomCode = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '')
+
+/**
+ * Create Room
+ * 
+ * Registers a new room with a fresh lobby session.
+ * 
+ * Structure:
+ * - code: Join code players type in
+ * - session: This room's game state (see createSession)
+ * - clients: Map of WebSocket -> client metadata for sockets in this room
+ * - hostId: Client ID of the host, the only player allowed to run the game
+ * - members: Player records (clientId -> { name, color, offlineSince }) for everyone who has joined.
+ *   These, not the sockets, make up the player list (see roomPlayers)
+ * - emptySince: Timestamp when the last client left (null while occupied)
+ * - reservedUntil: After a restart, the host's seat is kept and the room isn't
+ *   cleaned up before this time (0 for normal rooms)
+ * - flushTimer / sentShared: Batched state updates (see flushState)
+ * 
+ * @returns {object} The new room
+ */
+const createRoom = () => {
+  const room = {
+    code: generateRoomCode(),
+    session: createSession(),
+    clients: new Map(),
+    hostId: null, // Set to the creator when they join
+    members: {},
+    emptySince: Date.now(), // Empty until the creator joins
+    reservedUntil: 0,
+    flushTimer: null, // Pending state update (see broadcastState)
+    sentShared: null, // Shared state as last sent to the room (see flushState)
+  }
+  rooms.set(room.code, room)
+  return room
+}
+
+/**
+ * Join Room
+ * 
+ * Moves a client into a room, leaving any room they were in before.
+ * A host who resumes gets their controls back (the seat is kept for them,
+ * see isHostSeatHeld); in a room whose host is gone for good, the first
+ * client to arrive becomes host.
+ * 
+ * @param {WebSocket} ws - Client connection
+ * @param {object} meta - Client metadata
+ * @param {object} room - Room to join
+ */
+const joinRoom = (ws, meta, room) => {
+  if (meta.roomCode && meta.roomCode !== room.code) leaveRoom(ws, meta)
+  room.clients.set(ws, meta)
+  room.emptySince = null
+  meta.roomCode = room.code
+  meta.sentView = null // Start this room with a full state
+  rememberMember(room, meta)
+  // A room whose host is gone (e.g. everyone left) gets a new host from whoever arrives
+  // (unless the host dropped out recently and may still resume)
+  if (!isHostPresent(room) && !isHostSeatHeld(room, Date.now())) room.hostId = meta.clientId
+  // Tell the client which room it is in so it can show the code and resume later
+  ws.send(JSON.stringify({ type: 'room', roomCode: room.code }))
+}
+
+/**
+ * Leave Room
+ * 
+ * Removes a client from its current room and notifies the remaining players.
+ * The player's record stays, marked offline, so they keep their place on the
+ * leaderboard while they reconnect - see pruneMembers.
+ * Empty rooms are not deleted straight away - see the cleanup in the timer loop.
+ * If the host left, they stay host through the same grace period, so a dropped
+ * connection doesn't hand the game (and everyone's answers) to a player;
+ * after that the timer loop passes host on (see handOffHost).
+ * 
+ * @param {WebSocket} ws - Client connection
+ * @param {object} meta - Client metadata
+ */
+const leaveRoom = (ws, meta) => {
+  const room = rooms.get(meta.roomCode)
+  meta.roomCode = null
+  if (!room) return
+  room.clients.delete(ws)
+  if (room.members[meta.clientId]) room.members[meta.clientId].offlineSince = Date.now()
+  if (room.clients.size === 0) {
+    room.emptySince = Date.now()
+  } else {
+    // The player we were waiting for may have left
+    if (shouldAutoReveal(room)) revealQuestion(room)
+    else broadcastState(room) // Player list changed
+  }
+}
+
+/**
+ * Remember Member
+ * 
+ * Keeps the player record (name and color) for a room, so it is saved
+ * with the game and survives the player disconnecting.
+ * Called while the player is connected, so it also marks them online again.
+ * 
+ * @param {object} room - Room the player is in
+ * @param {object} meta - Client metadata
+ */
+const rememberMember = (room, meta) => {
+  room.members[meta.clientId] = { name: meta.name, color: meta.color, offlineSince: null }
+}
+
+/**
+ * Played This Game
+ * 
+ * @param {object} session - Room session
+ * @param {string} playerId - Player's client ID
+ * @returns {boolean} True if the player answered any question of the current game
+ */
+const playedThisGame = (session, playerId) =>
+  Boolean(session.answers[playerId]) ||
+  playerId in session.scores ||
+  session.log.some((entry) => entry.answers.some((a) => a.playerId === playerId))
+
+/**
+ * Prune Members
+ * 
+ * Drops the records of players who have been offline longer than OFFLINE_GRACE_MS.
+ * Players who answered in the current game are kept until it is over
+ * (back in the lobby), so the final rankings and the export still show them.
+ * 
+ * @param {object} room - Room to tidy up
+ * @param {number} now - Current time
+ * @returns {boolean} True if anyone was removed
+ */
+const pruneMembers = (room, now) => {
+  const { session } = room
+  let removed = false
+  Object.entries(room.members).forEach(([id, member]) => {
+    if (!member.offlineSince || now - member.offlineSince < OFFLINE_GRACE_MS) return
+    if (session.phase !== 'lobby' && playedThisGame(session, id)) return
+    delete room.members[id]
+    removed = true
+  })
+  return removed
+}
+
+/**
+ * Room Players
+ * 
+ * Everyone on the room's player list: connected players, players who dropped
+ * out recently (OFFLINE_GRACE_MS), and players who took part in the current game.
+ * 
+ * @param {object} room - Room to list
+ * @returns {Array<object>} Players in join order: { id, name, color, online }
+ */
+const roomPlayers = (room) => {
+  const online = new Set(Array.from(room.clients.values()).map((c) => c.clientId))
+  return Object.entries(room.members).map(([id, member]) => ({
+    id,
+    name: member.name,
+    color: member.color,
+    online: online.has(id),
+  }))
+}
+
+/**
+ * Room Connections
+ * 
+ * Connection health of everyone connected, for the host (see viewerState).
+ * Kept out of the shared state: latency changes every heartbeat, and
+ * players have no use for each other's.
+ * 
+ * @param {object} room - Room to describe
+ * @returns {object} { [clientId]: { latencyMs, quality } } (null values until the first pong)
+ */
+const roomConnections = (room) =>
+  Object.fromEntries(Array.from(room.clients.values()).map((c) => [c.clientId, { latencyMs: c.latencyMs, quality: connectionQuality(c) }]))
+
+/**
+ * Connection Quality
+ * 
+ * @param {object} meta - Client metadata with heartbeat fields
+ * @returns {string|null} 'good', 'fair' or 'poor' (null until the first pong)
+ */
+const connectionQuality = (meta) => {
+  if (meta.missedPongs > 0) return 'poor' // Didn't answer the last ping
+  if (meta.latencyMs === null) return null
+  if (meta.latencyMs <= LATENCY_GOOD_MS) return 'good'
+  return meta.latencyMs <= LATENCY_FAIR_MS ? 'fair' : 'poor'
+}
+
+/**
+ * Is Host Present
+ * 
+ * @param {object} room - Room to check
+ * @returns {boolean} True if the host has a connection in the room
+ */
+const isHostPresent = (room) =>
+  Array.from(room.clients.values()).some((c) => c.clientId === room.hostId)
+
+/**
+ * Is Host Seat Held
+ * 
+ * Whether an absent host still owns the room, so nobody else takes over:
+ * - For OFFLINE_GRACE_MS after their connection dropped (they may resume)
+ * - Until reservedUntil for a room restored after a restart
+ * 
+ * @param {object} room - Room to check
+ * @param {number} now - Current time
+ * @returns {boolean} True if host controls must wait for the host to come back
+ */
+const isHostSeatHeld = (room, now) => {
+  if (now < room.reservedUntil) return true
+  const host = room.members[room.hostId]
+  return Boolean(host?.offlineSince) && now - host.offlineSince < OFFLINE_GRACE_MS
+}
+
+/**
+ * Hand Off Host
+ * 
+ * Once the host has been gone past their grace period, host controls pass to
+ * the longest-connected player in the room so the game can't get stuck.
+ * 
+ * @param {object} room - Room to check
+ * @param {number} now - Current time
+ * @returns {boolean} True if the host changed
+ */
+const handOffHost = (room, now) => {
+  if (!room.clients.size || isHostPresent(room) || isHostSeatHeld(room, now)) return false
+  // Map keeps insertion order, so the first entry joined earliest
+  room.hostId = room.clients.values().next().value.clientId
+  return true
+}
+
+/**
+ * Require Host
+ * 
+ * Guards game-control messages (start, next, lobby settings, ...).
+ * Anyone else gets a 'not-host' error reply instead of silently being ignored.
+ * 
+ * @param {WebSocket} ws - Client connection
+ * @param {object} meta - Client metadata
+ * @param {object} room - Room the client is in
+ * @param {string|number} [requestId] - Client's request id, echoed in the error
+ * @returns {boolean} True if the client is this room's host
+ */
+const requireHost = (ws, meta, room, requestId) => {
+  if (room.hostId === meta.clientId) return true
+  sendError(ws, 'not-host', 'Only the host can do that.', requestId)
+  return false
+}
+
+/**
+ * Require Between Games
+ * 
+ * Guards lobby settings, which can't change while a game is running
+ * (lobby or ended phase only). Replies with a 'wrong-phase' error otherwise.
+ * 
+ * @param {WebSocket} ws - Client connection
+ * @param {object} session - Room's session
+ * @param {string|number} [requestId] - Client's request id, echoed in the error
+ * @returns {boolean} True if no game is running
+ */
+const requireBetweenGames = (ws, session, requestId) => {
+  if (session.phase === 'lobby' || session.phase === 'ended') return true
+  sendError(ws, 'wrong-phase', 'That can only be changed between games.', requestId)
+  return false
+}
+
+const ADMIN_ACTIONS = ['admin-login', 'admin-restart', 'claim-host'] // Need an admin session token
+const AUDIT_OMITTED_FIELDS = ['type', 'v', 'requestId', 'token', 'password'] // Envelope and secrets
+
+/**
+ * Append Audit Entry
+ * 
+ * Adds an entry to a room's trail (see auditTrails), writes it to the log
+ * and saves. Entry fields:
+ * - at: When it happened
+ * - action: The message type, e.g. 'start' or 'set-time-limit', or 'kick'
+ * - actorId / actorName: Who did it (the name they had at the time);
+ *   null / 'Server' when the server disconnected someone itself
+ * - admin: Whether they used an admin session
+ * - phaseBefore / phaseAfter: The room's phase around the action
+ * - details: What changed (new settings, target player, kick reason, ...)
+ * 
+ * @param {string} roomCode - Room the entry belongs to
+ * @param {object} entry - Entry fields (without at)
+ * @param {object} entryLog - Logger to write it with (the actor's connection)
+ */
+const appendAudit = (roomCode, entry, entryLog) => {
+  const now = Date.now()
+  const trail = auditTrails.get(roomCode) || { updatedAt: now, entries: [] }
+  const stamped = { at: now, ...entry }
+  trail.entries.push(stamped)
+  if (trail.entries.length > MAX_AUDIT_ENTRIES) trail.entries.splice(0, trail.entries.length - MAX_AUDIT_ENTRIES)
+  trail.updatedAt = now
+  auditTrails.set(roomCode, trail)
+  entryLog.info('audit', { room: roomCode, ...stamped })
+  saveState()
+}
+
+/**
+ * Record Audit Entry
+ * 
+ * Adds a privileged action (game flow, lobby settings, host changes and
+ * admin commands) to the room's audit trail. The details are the request's
+ * own fields plus anything the handler adds; tokens and passwords are never kept.
+ * 
+ * @param {object} room - Room the action was taken in
+ * @param {object} meta - Metadata of the client who took it
+ * @param {object} data - The validated message
+ * @param {string} phaseBefore - Room phase before the handler ran
+ * @param {object} [extra] - More details from the handler
+ */
+const recordAudit = (room, meta, data, phaseBefore, extra) => {
+  const fields = Object.entries(data).filter(([name]) => !AUDIT_OMITTED_FIELDS.includes(name))
+  appendAudit(room.code, {
+    action: data.type,
+    actorId: meta.clientId,
+    actorName: meta.name,
+    admin: Boolean(meta.adminToken) || ADMIN_ACTIONS.includes(data.type),
+    phaseBefore,
+    phaseAfter: room.session.phase,
+    details: { ...Object.fromEntries(fields), ...extra },
+  }, meta.log)
+}
+
+/**
+ * Record Kick
+ * 
+ * Adds the server disconnecting a player on its own - for flooding
+ * (see withinRateLimit) or for not answering heartbeats - to their room's trail.
+ * Connections that aren't in a room have no trail to add to.
+ * 
+ * @param {object} meta - Metadata of the client being disconnected
+ * @param {string} reason - 'too-many-requests' or 'heartbeat-timeout'
+ */
+const recordKick = (meta, reason) => {
+  const room = rooms.get(meta.roomCode)
+  if (!room) return
+  appendAudit(room.code, {
+    action: 'kick',
+    actorId: null,
+    actorName: 'Server',
+    admin: false,
+    phaseBefore: room.session.phase,
+    phaseAfter: room.session.phase,
+    details: { playerId: meta.clientId, playerName: meta.name, reason },
+  }, meta.log)
+}
+
+/**
+ * Prune Audit Trails
+ * 
+ * Drops trails with no new entry in AUDIT_RETENTION_MS (rooms still open keep theirs).
+ * 
+ * @param {number} now - Current time
+ */
+const pruneAuditTrails = (now) => {
+  for (const [code, trail] of auditTrails) {
+    if (!rooms.has(code) && now - trail.updatedAt >= AUDIT_RETENTION_MS) {
+      auditTrails.delete(code)
+      saveState()
+    }
+  }
+}
+
+/**
+ * Send Error to Client
+ * 
+ * Tells a single client why its request could not be completed
+ * (e.g. unknown room code).
+ * 
+ * Reply: 'error' with { code, message, requestId }
+ * - code: One of the "errors" in protocol.schema.json, for the client to act on
+ * - message: Human-readable text the client shows as is
+ * - requestId: The failed request's id, if the client sent one
+ * 
+ * @param {WebSocket} ws - Client connection
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable error
+ * @param {string|number} [requestId] - Client's request id to echo
+ */
+const sendError = (ws, code, message, requestId) => {
+  errorsSent.inc({ code })
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ type: 'error', code, message, requestId }))
+  }
+}
+
+/**
+ * Within Rate Limit
+ * 
+ * Spends one of the connection's tokens for a message (see rateLimit.js).
+ * 
+ * When the bucket is empty:
+ * - The message is dropped
+ * - The first drop in a burst is logged and answered with a 'rate-limited' error
+ * - A connection that keeps going is disconnected (close code 1008, policy violation)
+ * 
+ * Logs name the message type and sender only, never the message contents.
+ * 
+ * @param {WebSocket} ws - Client connection
+ * @param {object} meta - Client metadata
+ * @param {string} type - Message type, or 'invalid' for messages that failed to parse or validate
+ * @param {string|number} [requestId] - Client's request id, echoed in the error
+ * @returns {boolean} True if the message may be handled
+ */
+const withinRateLimit = (ws, meta, type, requestId) => {
+  const result = meta.rateLimiter.take(type)
+  if (result.ok) return true
+  messagesDropped.inc({ reason: 'rate-limited' })
+  if (ws.readyState !== ws.OPEN) return false // Already being disconnected
+  if (result.disconnect) {
+    meta.log.warn('disconnecting: too many requests', { type })
+    recordKick(meta, 'too-many-requests')
+    ws.close(1008, 'Too many requests')
+  } else if (result.first) {
+    meta.log.warn('rate limit hit', { type })
+    sendError(ws, 'rate-limited', 'Slow down - that was sent too often. Try again in a moment.', requestId)
+  }
+  return false
+}
+
 /**
  * Get Current Question
  * 
- * Returns the question object for the current question index.
+ * Returns the question object for the session's current question index.
  * Returns null if no question is active.
  * 
+ * @param {object} session - Room session
  * @returns {object|null} Current question or null
  */
-const currentQuestion = () =>
-  questions[session.questionIndex] ? { ...questions[session.questionIndex] } : null
+const currentQuestion = (session) =>
+  session.questions[session.questionIndex] ? { ...session.questions[session.questionIndex] } : null
+
+/**
+ * Total Questions
+ * 
+ * Number of questions in the running game, or in the selected bank
+ * while still in the lobby.
+ * 
+ * @param {object} session - Room session
+ * @returns {number} Question count
+ */
+const totalQuestions = (session) => {
+  if (session.phase !== 'lobby') return session.questions.length
+  const bank = questionBanks.get(session.bankId)
+  const available = bank ? matchingQuestions(bank, session.topic).length : 0
+  return session.questionCount > 0 ? Math.min(session.questionCount, available) : available
+}
+
+/**
+ * Begin Game
+ * 
+ * Copies the selected bank's questions into the session and starts question 1.
+ * 
+ * @param {object} room - Room to start
+ * @param {Array<object>} [questions] - Questions to play (default: a fresh draw from the bank)
+ * @returns {boolean} False if there are no questions to play (bank gone, or no question
+ *   matches the topic) - the room is left as it was
+ */
+const beginGame = (room, questions = drawQuestions(room.session)) => {
+  const { session } = room
+  if (!questions.length) return false
+  session.questions = questions
+  session.scores = {} // Reset scores
+  session.answers = {} // Clear answers
+  session.log = [] // Fresh answer log for the export
+  session.gameStartedAt = Date.now()
+  session.gameEndedAt = null
+  startQuestion(room, 0) // Start from first question
+  return true
+}
+
+/**
+ * Answer Choices
+ * 
+ * Option indexes picked in one answer. Single-choice and true/false answers
+ * store one optionIndex; multi answers store optionIndexes; numeric answers
+ * store a value and pick no options.
+ * 
+ * @param {object} answer - Stored answer
+ * @returns {Array<number>} Picked option indexes
+ */
+const answerChoices = (answer) => {
+  if (answer.value !== undefined) return []
+  return answer.optionIndexes ?? [answer.optionIndex]
+}
+
+/**
+ * Stored Answer Value
+ * 
+ * What a player answered, in the shape the client expects for the question type.
+ * 
+ * @param {object} answer - Stored answer
+ * @returns {number|Array<number>} Option index, array of indexes (multi) or the typed number (numeric)
+ */
+const answerValue = (answer) => answer.value ?? answer.optionIndexes ?? answer.optionIndex
 
 /**
  * Calculate Answer Counts
  * 
- * Counts how many players chose each option (A, B, C, D).
+ * Counts how many players chose each option of the current question.
+ * For multi questions a player counts once for every option they ticked.
  * 
  * How it works:
- * 1. Create array of 4 zeros [0, 0, 0, 0]
+ * 1. Create array of zeros, one per option
  * 2. Loop through all answers
  * 3. Increment count for each option chosen
  * 
- * @returns {Array<number>} Array of counts [A, B, C, D]
+ * @param {object} session - Room session
+ * @returns {Array<number>} Array of counts [A, B, C, ...]
  */
-const calcCounts = () => {
-  const counts = Array(4).fill(0) // Initialize with zeros
-  Object.values(session.answers).forEach(({ optionIndex }) => {
-    // Validate optionIndex is valid (0-3)
-    if (Number.isInteger(optionIndex) && counts[optionIndex] !== undefined) {
-      counts[optionIndex] += 1 // Increment count for this option
-    }
+const calcCounts = (session) => {
+  const optionCount = currentQuestion(session)?.options.length || 0
+  const counts = Array(optionCount).fill(0) // Initialize with zeros
+  Object.values(session.answers).forEach((answer) => {
+    answerChoices(answer).forEach((optionIndex) => {
+      // Validate optionIndex is one of this question's options
+      if (Number.isInteger(optionIndex) && counts[optionIndex] !== undefined) {
+        counts[optionIndex] += 1 // Increment count for this option
+      }
+    })
   })
   return counts
 }
 
 /**
- * Derive State for Client
+ * Calculate Guess Histogram
  * 
- * Creates a personalized view of game state for a specific client.
+ * Groups the guesses on a numeric question into equal-width bins so the
+ * reveal can show how spread out the room was.
  * 
- * Why personalized:
- * - Hides correct answer until reveal phase
- * - Includes "youAnswered" field showing this client's answer
- * - Calculates time remaining based on server time
+ * How it works:
+ * 1. Span the bins over every guess plus the true value
+ * 2. Cap that span at 3x the question's range either side of the true value,
+ *   so one wild guess doesn't squash everyone else into a single bar
+ * 3. Guesses outside the cap are counted in `below` / `above` instead
+ * 
+ * @param {object} session - Room session
+ * @param {object} question - Current (numeric) question
+ * @returns {object} { bins: [{ from, to, count }], below, above }
+ */
+const calcHistogram = (session, question) => {
+  const values = Object.values(session.answers).map((a) => a.value).filter(Number.isFinite)
+  const cap = question.range * 3
+  let lo = Math.max(Math.min(question.correct, ...values), question.correct - cap)
+  let hi = Math.min(Math.max(question.correct, ...values), question.correct + cap)
+  if (hi - lo < 1e-9) {
+    // Everyone guessed the same thing - widen so the bar has some width
+    lo -= question.range / 2
+    hi += question.range / 2
+  }
+
+  const width = (hi - lo) / HISTOGRAM_BINS
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }))
+  let below = 0
+  let above = 0
+  values.forEach((value) => {
+    if (value < lo) below += 1
+    else if (value > hi) above += 1
+    else bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - lo) / width))].count += 1
+  })
+  return { bins, below, above }
+}
+
+/**
+ * Parse Answer
+ * 
+ * Checks an 'answer' message against the current question's type.
+ * 
+ * Rules:
+ * - single / true-false: optionIndex must be one of the question's options
+ * - multi: optionIndexes must be a non-empty array of the question's options
+ *   (duplicates are dropped)
+ * - numeric: value must be a finite number
+ * 
+ * @param {object} question - Current question
+ * @param {object} data - Message from the client
+ * @returns {object|null} Answer fields to store, or null if invalid
+ */
+const parseAnswer = (question, data) => {
+  if (!question) return null // No question open
+  if (question.type === 'numeric') {
+    // Accept numbers, or numeric strings straight from an input field
+    if (typeof data.value !== 'number' && (typeof data.value !== 'string' || !data.value.trim())) return null
+    const value = Number(data.value)
+    return Number.isFinite(value) ? { value } : null
+  }
+
+  const optionCount = question.options.length
+  const isOption = (value) => Number.isInteger(value) && value >= 0 && value < optionCount
+
+  if (question.type === 'multi') {
+    if (!Array.isArray(data.optionIndexes)) return null
+    const picked = [...new Set(data.optionIndexes.map(Number))].sort((a, b) => a - b)
+    if (!picked.length || !picked.every(isOption)) return null
+    return { optionIndexes: picked }
+  }
+
+  const optionIndex = Number(data.optionIndex)
+  return isOption(optionIndex) ? { optionIndex } : null
+}
+
+/**
+ * Answer Credit
+ * 
+ * How much of the question an answer got right, from 0 to 1.
  * 
- * @param {string} viewerId - The client ID requesting the state
- * @returns {object} Complete game state object
+ * - single / true-false: 1 for the correct option, otherwise 0
+ * - multi (partial credit): (correct ticks - wrong ticks) / number of correct
+ *   options, never below 0. Ticking everything therefore scores nothing.
+ * - numeric (closeness): full credit within the question's tolerance of the
+ *   true value. Beyond that, 'step' gives nothing and 'linear' falls off evenly
+ *   until the guess is `range` away from the true value.
+ * 
+ * @param {object} question - Question being scored
+ * @param {object} answer - Stored answer
+ * @returns {number} Credit between 0 and 1
+ */
+const answerCredit = (question, answer) => {
+  if (question.type === 'numeric') {
+    const distance = Math.abs(answer.value - question.correct)
+    if (distance <= question.tolerance) return 1
+    if (question.curve === 'step') return 0
+    return Math.max(0, 1 - (distance - question.tolerance) / (question.range - question.tolerance))
+  }
+  if (question.type !== 'multi') return answer.optionIndex === question.correct ? 1 : 0
+  const picked = answerChoices(answer)
+  const hits = picked.filter((idx) => question.correct.includes(idx)).length
+  const misses = picked.length - hits
+  return Math.max(0, (hits - misses) / question.correct.length)
+}
+
+/**
+ * Option Order
+ * 
+ * The order one player sees the current question's options in.
+ * Made the first time it's needed and kept for the rest of the question,
+ * so it survives a reconnect.
+ * 
+ * @param {object} session - Room session
+ * @param {object} question - Current question
+ * @param {string} playerId - Player's client ID
+ * @returns {Array<number>|null} Bank option index for each shown position, or null for bank order
+ */
+const optionOrder = (session, question, playerId) => {
+  if (!session.shuffleOptions || !question || !playerId) return null
+  if (question.type === 'true-false' || question.type === 'numeric') return null // True stays before False
+  if (!session.optionOrders[playerId]) {
+    session.optionOrders[playerId] = shuffle(question.options.map((_, idx) => idx))
+  }
+  return session.optionOrders[playerId]
+}
+
+/**
+ * Choice to Display Order
+ * 
+ * Converts an answer or correct answer from bank option indexes
+ * to the positions a player sees. Numbers (numeric answers) pass through.
+ * 
+ * @param {number|Array<number>} value - Bank option index(es)
+ * @param {Array<number>|null} order - Player's option order
+ * @returns {number|Array<number>} Shown position(s)
  */
-const deriveState = (viewerId) => {
-  const question = currentQuestion() // Get current question
-  const counts = calcCounts() // Calculate answer distribution
+const toDisplayChoice = (value, order) => {
+  if (!order) return value
+  if (Array.isArray(value)) return value.map((idx) => order.indexOf(idx)).sort((a, b) => a - b)
+  return order.indexOf(value)
+}
+
+/**
+ * Choice to Bank Order
+ * 
+ * Converts a submitted answer from shown positions back to bank option
+ * indexes, so scoring, counts and the answer log never depend on who saw what.
+ * 
+ * @param {object} choice - Parsed answer ({ optionIndex } or { optionIndexes } or { value })
+ * @param {Array<number>|null} order - Player's option order
+ * @returns {object} Answer in bank option indexes
+ */
+const toBankChoice = (choice, order) => {
+  if (!order) return choice
+  if (choice.optionIndexes) return { optionIndexes: choice.optionIndexes.map((idx) => order[idx]).sort((a, b) => a - b) }
+  if (choice.optionIndex !== undefined) return { optionIndex: order[choice.optionIndex] }
+  return choice
+}
+
+/**
+ * Can See Answer Detail
+ * 
+ * Hosts and logged-in admins see who answered what; players never do.
+ * 
+ * @param {object} room - Room the viewer is in
+ * @param {object} viewer - Viewer's client metadata
+ * @returns {boolean} True if the viewer may see per-player answers
+ */
+const canSeeAnswerDetail = (room, viewer) =>
+  room.hostId === viewer.clientId || adminAuth.isValidToken(viewer.adminToken)
+
+/**
+ * Shared State
+ * 
+ * The part of the game state that is the same for everyone in the room
+ * (phase, timer, settings, scores, player list, ...). Worked out once per
+ * broadcast, however many clients are in the room.
+ * 
+ * Time remaining is calculated from server time.
+ * 
+ * @param {object} room - Room to describe
+ * @returns {object} State fields shared by every viewer
+ */
+const sharedState = (room) => {
+  const { session } = room
+  const question = currentQuestion(session) // Get current question
   const now = Date.now()
   
   // Calculate time remaining
   // If in question phase and timer is set, calculate remaining time
+  // (frozen at the moment of pausing while paused)
   // Otherwise return 0
   const timeLeft =
-    session.phase === 'question' && session.endsAt ? Math.max(0, session.endsAt - now) : 0
+    session.phase === 'question' && session.endsAt ? Math.max(0, session.endsAt - (session.pausedAt || now)) : 0
 
   return {
+    roomCode: room.code,
+    hostId: room.hostId, // Only this player sees game controls
     phase: session.phase,
     questionIndex: session.questionIndex,
-    totalQuestions: questions.length,
+    totalQuestions: totalQuestions(session),
+    bankId: session.bankId, // Question bank picked for this room
+    scoringMode: session.scoringMode,
+    showLiveCounts: session.showLiveCounts,
+    questionCount: session.questionCount,
+    topic: session.topic,
+    randomOrder: session.randomOrder,
+    shuffleOptions: session.shuffleOptions,
+    banks: session.phase === 'lobby' || session.phase === 'ended' ? listBanks() : [], // Choices for the lobby picker
     timeLeft, // Milliseconds remaining
+    duration: session.durationMs, // Full question length, so the countdown ring matches the server
+    timeLimit: session.defaultDurationMs / 1000, // Lobby default in seconds
+    paused: session.phase === 'question' && Boolean(session.pausedAt), // Client stops counting down
+    autoReveal: session.autoReveal,
+    autoAdvance: session.autoAdvance,
+    revealDelay: session.revealDelayMs / 1000, // Seconds
+    autoReturn: session.autoReturn,
+    // Milliseconds until the game moves on by itself (null = waiting for the host)
+    advanceIn: session.phase === 'reveal' && session.advanceAt ? Math.max(0, session.advanceAt - now) : null,
+    lobbyIn: session.phase === 'ended' && session.lobbyAt ? Math.max(0, session.lobbyAt - now) : null,
+    // Spread of guesses on a numeric question (reveal only, replaces counts)
+    histogram: session.phase === 'reveal' && question?.type === 'numeric' ? calcHistogram(session, question) : null,
+    totalAnswers: Object.keys(session.answers).length, // Total players who answered
+    scores: session.scores, // All player scores
+    // Points each player earned on this question (reveal only, so nobody sees them early)
+    roundPoints: session.phase === 'reveal'
+      ? Object.fromEntries(Object.entries(session.results).map(([id, r]) => [id, r.points]))
+      : {},
+    players: roomPlayers(room), // Everyone on the player list, with who is online right now
+  }
+}
+
+/**
+ * Viewer State
+ * 
+ * The part of the game state that differs per client.
+ * 
+ * Why personalized:
+ * - Hides correct answer until reveal phase
+ * - Includes "youAnswered" field showing this client's answer
+ * - Options, counts, correct answer and notes are put in this viewer's own
+ *   option order (see optionOrder), so counts still add up per option
+ * - Role-aware: only hosts and admins get every player's answer ('answers'),
+ *   the question analytics and everyone's connection health;
+ *   players get per-option counts at reveal, or earlier if the host allows it
+ * 
+ * @param {object} room - Room the viewer is in
+ * @param {object} viewer - Client metadata of the viewer ({ clientId, adminToken, ... })
+ * @param {object} [cache] - Shared between the viewers of one broadcast, so counts
+ *   and analytics are only worked out once
+ * @returns {object} State fields for this viewer
+ */
+const viewerState = (room, viewer, cache = {}) => {
+  const { session } = room
+  const viewerId = viewer.clientId
+  const question = currentQuestion(session)
+  const detail = canSeeAnswerDetail(room, viewer)
+  // Counts before the reveal would show which option classmates are leaning towards
+  const showCounts = session.phase !== 'question' || session.showLiveCounts || detail
+  const order = optionOrder(session, question, viewerId) // null = bank order
+  const inOrder = (list) => (order && list ? order.map((idx) => list[idx]) : list) // Reorder a per-option list
+  if (showCounts && !cache.counts) cache.counts = calcCounts(session)
+  const counts = showCounts ? inOrder(cache.counts) : null // Calculate answer distribution
+  if (detail && !cache.analytics) cache.analytics = buildAnalytics(session.log)
+  if (detail && !cache.connections) cache.connections = roomConnections(room)
+
+  return {
     question: question
       ? {
           id: question.id,
+          type: question.type, // Client draws matching answer controls
           prompt: question.prompt,
-          options: question.options,
+          options: inOrder(question.options),
+          unit: question.unit, // Numeric questions only
           // Only reveal correct answer during reveal phase
           // This prevents cheating by inspecting network traffic
-          correct: session.phase === 'reveal' ? question.correct : null,
+          correct: session.phase === 'reveal' ? toDisplayChoice(question.correct, order) : null,
+          tolerance: session.phase === 'reveal' ? question.tolerance : undefined, // Numeric questions only
+          // Teaching notes are part of the answer, so they also wait for the reveal
+          explanation: session.phase === 'reveal' ? question.explanation : undefined,
+          optionNotes: session.phase === 'reveal' ? inOrder(question.optionNotes) : undefined, // Why each option is wrong
         }
       : null,
-    counts, // How many players chose each option
-    totalAnswers: Object.keys(session.answers).length, // Total players who answered
-    answers: session.answers, // All answers (for debugging/admin)
-    scores: session.scores, // All player scores
-    youAnswered: viewerId ? session.answers[viewerId]?.optionIndex : undefined, // This client's answer
-    players: Array.from(clients.values()).map((c) => ({
-      id: c.clientId,
-      name: c.name,
-      color: c.color,
-    })), // List of all connected players
+    counts, // How many players chose each option (null while hidden from this viewer)
+    // Every player's answer - hosts and admins only, never sent to players
+    answers: detail
+      ? Object.fromEntries(Object.entries(session.answers).map(([id, a]) => [id, toDisplayChoice(answerValue(a), order)]))
+      : null,
+    // Per-question stats for revealed questions (hosts and admins only, see analytics.js)
+    analytics: detail ? cache.analytics : null,
+    // Each connected player's round trip and quality (hosts and admins only, see roomConnections)
+    connections: detail ? cache.connections : null,
+    yourResult: session.phase === 'reveal' && viewerId ? session.results[viewerId] || null : null, // This client's breakdown
+    // This client's answer: an index, an array of indexes (multi) or a number (numeric)
+    youAnswered: viewerId && session.answers[viewerId] ? toDisplayChoice(answerValue(session.answers[viewerId]), order) : undefined,
   }
 }
 
 /**
- * Broadcast State to All Clients
+ * Broadcast State to Room
  * 
- * Sends current game state to all connected clients.
+ * Sends current game state to every client in a room.
  * Each client receives a personalized view (with their own answer).
+ * Clients in other rooms are not affected.
  * 
- * Called whenever game state changes:
+ * Called whenever game state changes (and saves it):
  * - New question starts
  * - Player answers
  * - Question revealed
  * - Scores updated
+ * 
+ * The update goes out BROADCAST_BATCH_MS later (see flushState), so a burst
+ * of changes - like the answers that pile in just before the deadline -
+ * reaches each client as one update.
+ * 
+ * @param {object} room - Room whose clients should be updated
  */
-const broadcastState = () => {
-  for (const [client, meta] of clients) {
+const broadcastState = (room) => {
+  saveState() // Every broadcast follows a change worth keeping
+  scheduleFlush(room)
+}
+
+/**
+ * Schedule Flush
+ * 
+ * @param {object} room - Room with changes to send
+ */
+const scheduleFlush = (room) => {
+  if (room.flushTimer) return // Already queued - it will pick this change up too
+  const queuedAt = Date.now()
+  room.flushTimer = setTimeout(() => {
+    flushState(room)
+    broadcastLatency.observe((Date.now() - queuedAt) / 1000)
+  }, BROADCAST_BATCH_MS)
+}
+
+/**
+ * Flush State
+ * 
+ * Sends the room's clients what changed since their last update.
+ * 
+ * How it works:
+ * 1. The shared state (sharedState) is worked out and diffed once for the room
+ *    against the last one sent, and those changes are serialized once
+ * 2. Each client's own part (viewerState) is diffed against what it last got
+ * 3. The client gets a 'patch' { version, changes } with both lists (see statePatch.js),
+ *    or nothing if nothing it can see changed
+ * 4. A client without a baseline (just joined, or asked to 'resync') gets
+ *    a full 'state' { version, state } instead
+ * 
+ * version counts up by one per message for each client. A client that sees
+ * a gap has missed something and sends 'resync'.
+ * 
+ * Sent states are kept as plain JSON copies, because the session objects
+ * they came from (scores, answers) are changed in place.
+ * 
+ * @param {object} room - Room whose clients should be updated
+ */
+const flushState = (room) => {
+  room.flushTimer = null
+  const shared = JSON.parse(JSON.stringify(sharedState(room)))
+  const sharedChanges = room.sentShared ? diffState(room.sentShared, shared) : null
+  const sharedJson = sharedChanges ? JSON.stringify(sharedChanges).slice(1, -1) : '' // Items only, spliced into each patch
+  const cache = {}
+  for (const [client, meta] of room.clients) {
     // Skip clients with closed connections
     if (client.readyState !== client.OPEN) continue
-    
-    // Send personalized state to each client
-    client.send(JSON.stringify({ type: 'state', state: deriveState(meta.clientId) }))
+
+    const view = JSON.parse(JSON.stringify(viewerState(room, meta, cache)))
+    if (!sharedChanges || !meta.sentView) {
+      meta.stateVersion += 1
+      client.send(JSON.stringify({ type: 'state', version: meta.stateVersion, state: { ...shared, ...view } }))
+      updatesSent.inc({ kind: 'state' })
+    } else {
+      const viewChanges = diffState(meta.sentView, view)
+      if (sharedChanges.length || viewChanges.length) {
+        meta.stateVersion += 1
+        const changesJson = [sharedJson, JSON.stringify(viewChanges).slice(1, -1)].filter(Boolean).join(',')
+        client.send(`{"type":"patch","version":${meta.stateVersion},"changes":[${changesJson}]}`)
+        updatesSent.inc({ kind: 'patch' })
+      }
+    }
+    meta.sentView = view
   }
+  room.sentShared = shared
 }
 
 /**
@@ -239,18 +1351,141 @@ const broadcastState = () => {
  * Steps:
  * 1. Set phase to 'question'
  * 2. Set question index
- * 3. Clear previous answers (new question = fresh start)
- * 4. Set timer end time (current time + question duration)
+ * 3. Clear previous answers and results (new question = fresh start)
+ * 4. Record start time and set timer end time (start + question duration)
+ *    The duration is the question's own timeLimit, or the room's default
+ *    (a fresh question is never paused)
  * 5. Broadcast new state to all clients
  * 
+ * @param {object} room - Room to update
  * @param {number} index - Question index (0-9)
  */
-const startQuestion = (index) => {
+const startQuestion = (room, index) => {
+  const { session } = room
   session.phase = 'question'
   session.questionIndex = index
   session.answers = {} // Clear answers for new question
-  session.endsAt = Date.now() + QUESTION_DURATION_MS // Set timer
-  broadcastState() // Notify all clients
+  session.results = {}
+  session.optionOrders = {} // Fresh option order for every question
+  session.startedAt = Date.now()
+  const { timeLimit } = session.questions[index] || {}
+  session.durationMs = timeLimit ? timeLimit * 1000 : session.defaultDurationMs
+  session.endsAt = session.startedAt + session.durationMs // Set timer
+  session.pausedAt = null
+  session.pausedMs = 0
+  session.advanceAt = null
+  broadcastState(room) // Notify all clients in the room
+}
+
+/**
+ * Pause Timer
+ * 
+ * Freezes the current question's countdown (e.g. while the host explains something).
+ * Answers wait until the timer runs again.
+ * 
+ * @param {object} room - Room to update
+ * @returns {boolean} True if the timer was running and is now paused
+ */
+const pauseTimer = (room) => {
+  const { session } = room
+  if (session.phase !== 'question' || session.pausedAt) return false
+  session.pausedAt = Date.now()
+  broadcastState(room)
+  return true
+}
+
+/**
+ * Resume Timer
+ * 
+ * Restarts a paused countdown with the time it had left.
+ * The pause is added to pausedMs so it doesn't count against speed scoring.
+ * 
+ * @param {object} room - Room to update
+ * @returns {boolean} True if the timer was paused and now runs again
+ */
+const resumeTimer = (room) => {
+  const { session } = room
+  if (session.phase !== 'question' || !session.pausedAt) return false
+  const pausedFor = Date.now() - session.pausedAt
+  session.endsAt += pausedFor // Same time left as when we paused
+  session.pausedMs += pausedFor
+  session.pausedAt = null
+  broadcastState(room)
+  return true
+}
+
+/**
+ * Add Time
+ * 
+ * Extends the current question (running or paused).
+ * durationMs grows too, so the speed bonus is spread over the longer window.
+ * 
+ * @param {object} room - Room to update
+ * @param {number} ms - Milliseconds to add
+ * @returns {boolean} True if time was added
+ */
+const addTime = (room, ms) => {
+  const { session } = room
+  if (session.phase !== 'question') return false
+  session.endsAt += ms
+  session.durationMs += ms
+  broadcastState(room)
+  return true
+}
+
+/**
+ * Should Auto-Reveal
+ * 
+ * True when auto-reveal is on, the timer is running, and every connected
+ * player with a name has answered - there's nobody left to wait for.
+ * 
+ * @param {object} room - Room to check
+ * @returns {boolean} True if the question can be revealed now
+ */
+const shouldAutoReveal = (room) => {
+  const { session } = room
+  if (!session.autoReveal || session.phase !== 'question' || session.pausedAt) return false
+  const players = Array.from(room.clients.values()).filter((c) => c.name)
+  return players.length > 0 && players.every((c) => session.answers[c.clientId])
+}
+
+/**
+ * Score an Answer
+ * 
+ * Works out how many points one answer is worth.
+ * 
+ * Scoring modes:
+ * - classic: 1 point for a correct answer
+ * - speed: correct answers earn SPEED_MIN_POINTS, plus a speed bonus of up to
+ *   (SPEED_MAX_POINTS - SPEED_MIN_POINTS) that shrinks linearly from the moment
+ *   the question started until its full duration (with added time) has passed.
+ *   Time spent paused doesn't count.
+ * 
+ * Partly correct multi answers earn the same share of those points as their
+ * credit (see answerCredit). Wrong answers always earn 0.
+ * 
+ * @param {object} session - Room session
+ * @param {object} question - Question being scored
+ * @param {object} answer - { optionIndex | optionIndexes, ts, elapsedMs }
+ * @returns {object} { correct, credit, responseMs, basePoints, speedBonus, points }
+ */
+const scoreAnswer = (session, question, answer) => {
+  const credit = answerCredit(question, answer)
+  const correct = credit === 1
+  // Time from question start to answer (pauses left out), clamped to the question window
+  const durationMs = session.durationMs || QUESTION_DURATION_MS
+  const elapsedMs = answer.elapsedMs ?? answer.ts - (session.startedAt || answer.ts)
+  const responseMs = Math.min(durationMs, Math.max(0, elapsedMs))
+
+  if (!credit) return { correct, credit, responseMs, basePoints: 0, speedBonus: 0, points: 0 }
+  if (session.scoringMode !== 'speed') {
+    const points = Math.round(credit * 100) / 100 // Keep partial credit readable (e.g. 0.67)
+    return { correct, credit, responseMs, basePoints: points, speedBonus: 0, points }
+  }
+
+  const basePoints = Math.round(SPEED_MIN_POINTS * credit)
+  const speedBonus = Math.round((SPEED_MAX_POINTS - SPEED_MIN_POINTS) * (1 - responseMs / durationMs) * credit)
+  return { correct, credit, responseMs, basePoints, speedBonus, points: basePoints + speedBonus }
 }
 
 /**
@@ -262,61 +1497,404 @@ const startQuestion = (index) => {
  * 1. Change phase to 'reveal'
  * 2. Clear timer (no longer needed)
  * 3. Calculate scores (award points for correct answers)
- * 4. Broadcast updated state (now includes correct answer)
+ * 4. With auto-advance on, schedule the next question (see advanceAt)
+ * 5. Broadcast updated state (now includes correct answer and points breakdown)
  * 
  * Scoring:
  * - Loop through all answers
- * - If answer matches correct option, add 1 point to player's score
+ * - Score each one with scoreAnswer (flat or speed-weighted)
+ * - Keep the breakdown in session.results so players can see it during reveal
  * - Scores persist across questions
+ * 
+ * @param {object} room - Room to update
  */
-const revealQuestion = () => {
+const revealQuestion = (room) => {
+  const { session } = room
   if (session.phase !== 'question') return // Only reveal if in question phase
+  answersPerQuestion.observe(Object.keys(session.answers).length)
   session.phase = 'reveal'
   session.endsAt = null // Clear timer
+  session.pausedAt = null
+  session.advanceAt = session.autoAdvance ? Date.now() + session.revealDelayMs : null
 
-  const question = currentQuestion()
+  const question = currentQuestion(session)
   if (question) {
     // Award points for correct answers
     Object.entries(session.answers).forEach(([userId, answer]) => {
-      if (answer.optionIndex === question.correct) {
-        // Increment score (or initialize to 1 if first correct answer)
-        session.scores[userId] = (session.scores[userId] || 0) + 1
+      const result = scoreAnswer(session, question, answer)
+      session.results[userId] = result
+      if (result.points) {
+        // Add to score (or initialize if first correct answer)
+        session.scores[userId] = Math.round(((session.scores[userId] || 0) + result.points) * 100) / 100
       }
     })
+    // Keep this question's answers for the results export
+    // (session.answers is cleared when the next question starts)
+    session.log.push({
+      questionIndex: session.questionIndex,
+      questionId: question.id,
+      type: question.type,
+      prompt: question.prompt,
+      options: question.options,
+      correct: question.correct,
+      unit: question.unit,
+      answers: Object.entries(session.answers).map(([playerId, answer]) => ({
+        playerId,
+        choice: answerValue(answer),
+        ...session.results[playerId], // correct, credit, responseMs, basePoints, speedBonus, points
+      })),
+    })
+  }
+  broadcastState(room) // Send updated state with scores
+}
+
+/**
+ * Move to Next Question
+ * 
+ * Advances to the next question or ends the game.
+ * 
+ * Logic:
+ * - If more questions remain: start next question
+ * - If last question: end the game
+ * 
+ * Called when host clicks "Next question" button.
+ * 
+ * @param {object} room - Room to update
+ */
+const nextQuestion = (room) => {
+  const { session } = room
+  if (session.questionIndex + 1 < session.questions.length) {
+    // More questions - start next one
+    startQuestion(room, session.questionIndex + 1)
+  } else {
+    endGame(room) // No more questions
+  }
+}
+
+/**
+ * Is Game Over
+ * 
+ * True once the final results are showing: the game has ended, or the
+ * last question has been revealed (clients show the final rankings then).
+ * 
+ * @param {object} session - Room session
+ * @returns {boolean} True if no more questions will be played
+ */
+const isGameOver = (session) =>
+  session.phase === 'ended' ||
+  (session.phase === 'reveal' && session.questionIndex + 1 >= session.questions.length)
+
+/**
+ * End Game
+ * 
+ * Moves a room to the final results screen.
+ * The answer log stays until the room returns to the lobby, so the host can export it.
+ * 
+ * @param {object} room - Room whose game is over
+ */
+const endGame = (room) => {
+  const { session } = room
+  session.phase = 'ended'
+  session.endsAt = null
+  session.pausedAt = null
+  session.advanceAt = null
+  session.gameEndedAt = Date.now()
+  // Hands-free games can go back to the lobby by themselves after the rankings
+  session.lobbyAt = session.autoAdvance && session.autoReturn ? session.gameEndedAt + FINAL_RESULTS_MS : null
+  broadcastState(room)
+}
+
+/**
+ * Return to Lobby
+ * 
+ * Sends a finished game's room back to the lobby for another round.
+ * Clears questions, scores, answers and the answer log (settings stay).
+ * 
+ * @param {object} room - Room whose game has ended
+ */
+const returnToLobby = (room) => {
+  const { session } = room
+  session.phase = 'lobby'
+  session.questions = []
+  session.questionIndex = -1
+  session.endsAt = null
+  session.pausedAt = null
+  session.lobbyAt = null
+  session.answers = {}
+  session.scores = {}
+  session.log = []
+  broadcastState(room)
+}
+
+/**
+ * Handle Bank Reload
+ * 
+ * Reloads bank files and refreshes every room that is choosing a bank.
+ * Rooms whose selected bank disappeared fall back to the default bank.
+ * 
+ * @returns {Array<object>} Problems found in rejected files
+ */
+const handleBankReload = () => {
+  const errors = reloadQuestionBanks()
+  for (const room of rooms.values()) {
+    const { session } = room
+    if (!questionBanks.has(session.bankId)) session.bankId = defaultBankId()
+    if (session.phase === 'lobby' || session.phase === 'ended') broadcastState(room)
+  }
+  return errors
+}
+
+/**
+ * Snapshot State
+ * 
+ * Builds the JSON-safe copy of every room that the store saves, plus the
+ * audit trails (which outlive their rooms, see auditTrails).
+ * Sockets are left out - players reconnect with 'resume'.
+ * 
+ * @returns {object} { version, savedAt, resumeSecret, rooms, auditTrails }
+ */
+const snapshotState = () => ({
+  version: 1,
+  savedAt: Date.now(),
+  // Only kept when no RESUME_TOKEN_SECRET is configured (see playerRegistry)
+  resumeSecret: process.env.RESUME_TOKEN_SECRET ? undefined : resumeSecret,
+  rooms: Array.from(rooms.values()).map((room) => ({
+    code: room.code,
+    hostId: room.hostId,
+    members: room.members,
+    session: room.session,
+  })),
+  auditTrails: Object.fromEntries(auditTrails),
+})
+
+let saveTimer = null // Pending save (see saveState)
+let saving = false // A save is being written
+let saveAgain = false // Something changed while it was
+
+/**
+ * Save State
+ * 
+ * Queues a save of all rooms, SAVE_DEBOUNCE_MS from the first change.
+ * Everything that changes meanwhile (a whole burst of answers, say)
+ * goes into the same save, so the snapshot is built at most once a second
+ * however busy the rooms are, and the write itself doesn't block the event loop.
+ * 
+ * Saves never overlap: a change made while one is being written queues
+ * another once it finishes. A failed write is logged; the game keeps running
+ * in memory. On shutdown, saveStateNow writes whatever is still pending.
+ */
+const saveState = () => {
+  if (saveTimer) return // Already queued - it will pick this change up too
+  saveTimer = setTimeout(writeState, SAVE_DEBOUNCE_MS)
+}
+
+/**
+ * Write State
+ * 
+ * Runs a queued save (see saveState).
+ */
+const writeState = () => {
+  saveTimer = null
+  if (saving) {
+    saveAgain = true
+    return
+  }
+  saving = true
+  store.save(snapshotState())
+    .catch((err) => log.error('could not save game state', { err }))
+    .finally(() => {
+      saving = false
+      if (saveAgain) {
+        saveAgain = false
+        saveState()
+      }
+    })
+}
+
+/**
+ * Save State Now
+ * 
+ * Writes everything synchronously, for shutdown - a change still
+ * waiting for its save would otherwise be lost.
+ */
+const saveStateNow = () => {
+  clearTimeout(saveTimer)
+  saveTimer = null
+  try {
+    store.saveSync(snapshotState())
+  } catch (err) {
+    log.error('could not save game state', { err })
+  }
+}
+
+/**
+ * Restore Rooms
+ * 
+ * Rebuilds rooms from the saved snapshot after a restart.
+ * 
+ * How it works:
+ * 1. Each saved room gets its session, host and player records back
+ * 2. It starts empty, with RESTORED_ROOM_TTL_MS for players to 'resume' into it
+ * 3. A question whose timer ran out while the server was down is revealed
+ *    by the timer loop straight away
+ * 4. Audit trails come back too, including those of rooms already closed
+ * 
+ * @param {object|null} snapshot - Saved state from the store
+ */
+const restoreRooms = (snapshot) => {
+  Object.entries(snapshot?.auditTrails || {}).forEach(([code, trail]) => {
+    if (Array.isArray(trail?.entries)) auditTrails.set(code, { updatedAt: trail.updatedAt || Date.now(), entries: trail.entries })
+  })
+  if (!snapshot || !Array.isArray(snapshot.rooms)) return
+  const now = Date.now()
+  for (const saved of snapshot.rooms) {
+    if (!saved?.code || !saved.session) continue
+    rooms.set(saved.code, {
+      code: saved.code,
+      session: { ...createSession(), ...saved.session },
+      clients: new Map(),
+      hostId: saved.hostId || null,
+      // Nobody is connected yet; the grace period starts now
+      members: Object.fromEntries(
+        Object.entries(saved.members || {}).map(([id, member]) => [id, { ...member, offlineSince: now }])
+      ),
+      emptySince: now,
+      reservedUntil: now + RESTORED_ROOM_TTL_MS,
+      flushTimer: null,
+      sentShared: null,
+    })
+  }
+  log.info('restored saved rooms', { rooms: rooms.size })
+}
+
+// Load banks before accepting connections, and again whenever the process gets SIGHUP
+reloadQuestionBanks()
+process.on('SIGHUP', handleBankReload)
+
+// Bring back games that were running before a restart
+restoreRooms(savedState)
+
+/**
+ * Send HTTP Response
+ * 
+ * @param {http.ServerResponse} res - Response to write
+ * @param {number} status - HTTP status code
+ * @param {string} contentType - Content-Type header
+ * @param {string} body - Response body
+ */
+const sendHttp = (res, status, contentType, body) => {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' })
+  res.end(body)
+}
+
+/**
+ * Status Summary
+ * 
+ * What /status reports. Room codes are masked (first two characters only),
+ * so the endpoint can't be used to find games to join.
+ * 
+ * @returns {object} { status, uptimeSeconds, protocolVersion, connections, rooms }
+ */
+const statusSummary = () => ({
+  status: Date.now() - lastLoopAt < GAME_LOOP_STALL_MS ? 'ok' : 'stalled',
+  uptimeSeconds: Math.round(process.uptime()),
+  protocolVersion: PROTOCOL_VERSION,
+  connections: clients.size,
+  rooms: Array.from(rooms.values()).map((room) => ({
+    room: `${room.code.slice(0, 2)}***`,
+    phase: room.session.phase,
+    questionIndex: room.session.questionIndex,
+    totalQuestions: totalQuestions(room.session),
+    connectedPlayers: room.clients.size,
+    listedPlayers: roomPlayers(room).length, // Includes players who are offline but still listed
+  })),
+})
+
+/**
+ * Handle HTTP Request
+ * 
+ * The WebSocket server shares its port with a few monitoring endpoints:
+ * - GET /healthz: 200 "ok" while the game loop is running, 503 if it has stalled
+ *   (used as Render's health check, see render.yaml)
+ * - GET /status: JSON summary of connections and rooms (see statusSummary)
+ * - GET /metrics: Prometheus metrics (see the Metrics section above)
+ * 
+ * Anyone can reach these, so nothing in here may throw into the process:
+ * the path is matched as plain text (no URL parsing of the request target),
+ * and any other failure is logged and answered with a 500.
+ * 
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+const handleHttpRequest = (req, res) => {
+  try {
+    routeHttpRequest(req, res)
+  } catch (err) {
+    log.error('http request failed', { path: String(req.url).slice(0, 100), err })
+    if (!res.headersSent) sendHttp(res, 500, 'text/plain; charset=utf-8', 'Internal error\n')
+    else res.end()
   }
-  broadcastState() // Send updated state with scores
 }
 
 /**
- * Move to Next Question
- * 
- * Advances to the next question or ends the game.
- * 
- * Logic:
- * - If more questions remain: start next question
- * - If last question: end the game
+ * Route HTTP Request
  * 
- * Called when host clicks "Next question" button.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
  */
-const nextQuestion = () => {
-  if (session.questionIndex + 1 < questions.length) {
-    // More questions - start next one
-    startQuestion(session.questionIndex + 1)
-  } else {
-    // No more questions - end game
-    session.phase = 'ended'
-    session.endsAt = null
-    broadcastState()
+const routeHttpRequest = (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendHttp(res, 405, 'text/plain; charset=utf-8', 'Method not allowed\n')
+    return
+  }
+  const pathname = String(req.url || '').split('?')[0]
+  switch (pathname) {
+    case '/healthz': {
+      const alive = Date.now() - lastLoopAt < GAME_LOOP_STALL_MS
+      sendHttp(res, alive ? 200 : 503, 'text/plain; charset=utf-8', alive ? 'ok\n' : 'game loop stalled\n')
+      break
+    }
+    case '/status':
+      sendHttp(res, 200, 'application/json', JSON.stringify(statusSummary(), null, 2))
+      break
+    case '/metrics':
+      sendHttp(res, 200, 'text/plain; version=0.0.4; charset=utf-8', metrics.render())
+      break
+    default:
+      sendHttp(res, 404, 'text/plain; charset=utf-8', 'Not found\n')
   }
 }
 
+/**
+ * Client Address
+ *
+ * Where a connection comes from, for the admin login lockout and the logs.
+ *
+ * Rules:
+ * - Behind a proxy (TRUST_PROXY, on by default in production) the address is the
+ *   LAST X-Forwarded-For entry - the one the proxy appended. Earlier entries are
+ *   whatever the client sent, so trusting them would let anyone dodge the lockout
+ * - Otherwise the header is ignored and the socket's own address is used
+ *
+ * @param {http.IncomingMessage} req - The WebSocket upgrade request
+ * @returns {string} Client address
+ */
+const clientAddress = (req) => {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map((entry) => entry.trim()).filter(Boolean)
+  return (TRUST_PROXY && forwarded[forwarded.length - 1]) || req.socket.remoteAddress
+}
+
 /**
  * Create WebSocket Server
  * 
- * Starts the WebSocket server listening on the specified port.
+ * Starts an HTTP server on the specified port for the monitoring endpoints
+ * (see handleHttpRequest), with the WebSocket server attached to it.
  * This is the entry point for all client connections.
  */
-const server = new WebSocketServer({ port: PORT })
+const httpServer = http.createServer(handleHttpRequest)
+// maxPayload: ws closes a connection that sends a bigger frame (close code 1009)
+const server = new WebSocketServer({ server: httpServer, maxPayload: MAX_MESSAGE_BYTES })
+httpServer.listen(PORT)
 
 /**
  * Handle New Client Connection
@@ -326,13 +1904,26 @@ const server = new WebSocketServer({ port: PORT })
  * Process:
  * 1. Generate unique ID and random color for client
  * 2. Store client in Map
- * 3. Send initial state to client
+ * 3. Send initial identity to client (no room yet)
  * 4. Set up message handlers
  * 5. Set up disconnect handler
+ * 
+ * A new connection is not in any room. The client must send 'create-room',
+ * 'join-room' or 'resume' (with a room code) before it can play.
  */
-server.on('connection', (ws) => {
-  // Generate unique identifier for this client
-  const clientId = randomId()
+server.on('connection', (ws, req) => {
+  // Generate unique identifier for this client, plus the token that can resume it later
+  const { clientId, resumeToken } = playerRegistry.register(ws)
+  connectionsOpened.inc()
+
+  // Client address, used to rate-limit admin logins and in logs (see clientAddress)
+  const address = clientAddress(req)
+
+  // Correlation id: every log line about this connection carries it, even after
+  // a 'resume' changes its client ID
+  const connectionId = crypto.randomBytes(6).toString('hex')
+  const connectionLog = log.child({ connectionId, clientId })
+  connectionLog.info('connection opened', { address })
   
   // Generate random color for visual distinction
   // HSL format: hue (0-360), saturation (70%), lightness (55%)
@@ -342,11 +1933,47 @@ server.on('connection', (ws) => {
   const name = ''
   
   // Store client in Map with metadata
-  clients.set(ws, { clientId, color, name })
+  clients.set(ws, {
+    clientId,
+    color,
+    name,
+    address,
+    connectionId,
+    log: connectionLog, // Logger for this connection (updated when the client ID changes)
+    roomCode: null,
+    adminToken: null,
+    rateLimiter: createRateLimiter(), // Token buckets for this connection's messages
+    pingSentAt: null, // When the last heartbeat ping went out
+    awaitingPong: false, // That ping hasn't been answered yet
+    missedPongs: 0, // Pings in a row without an answer
+    latencyMs: null, // Last measured round trip
+    stateVersion: 0, // Number of the last state / patch message sent (see flushState)
+    sentView: null, // This client's part of the state as last sent (null = send a full state next)
+  })
+
+  /**
+   * Heartbeat Answer
+   * 
+   * Browsers answer pings automatically. A pong proves the connection is
+   * alive and tells us its round-trip time.
+   */
+  ws.on('pong', () => {
+    const meta = clients.get(ws)
+    if (!meta || !meta.awaitingPong) return
+    const before = connectionQuality(meta)
+    meta.latencyMs = Date.now() - meta.pingSentAt
+    meta.awaitingPong = false
+    meta.missedPongs = 0
+    // Only update the room when the host would see a different quality
+    // (latency isn't saved, so there is nothing to store)
+    const room = rooms.get(meta.roomCode)
+    if (room && connectionQuality(meta) !== before) scheduleFlush(room)
+  })
 
   // Send initial connection message
-  // Client receives this and knows their ID, color, and current game state
-  ws.send(JSON.stringify({ type: 'init', clientId, color, name, state: deriveState(clientId) }))
+  // Client receives this and knows their ID and color; state arrives after joining a room
+  // The resume token is only ever sent to this client (never broadcast)
+  ws.send(JSON.stringify({ type: 'init', protocolVersion: PROTOCOL_VERSION, clientId, resumeToken, color, name, state: null }))
 
   /**
    * Handle Messages from Client
@@ -354,43 +1981,161 @@ server.on('connection', (ws) => {
    * Processes actions sent by clients.
    * 
    * Message Types:
+   * - 'create-room': Host creating a new room
+   * - 'join-room': Client joining an existing room by code
    * - 'resume': Client reconnecting, wants to restore identity
    * - 'set-name': Client setting/changing their name
+   * - 'resync': Client asking for a full state after missing a patch
+   * - 'select-bank': Choosing the question bank in the lobby
+   * - 'select-scoring': Choosing classic or speed scoring in the lobby
+   * - 'set-time-limit': Host choosing the default seconds per question
+   * - 'set-question-draw': Host choosing how many questions, which topic and the order
+   * - 'set-shuffle-options': Host turning per-player option shuffling on or off
+   * - 'set-live-counts': Host allowing players to see answer counts before the reveal
+   * - 'reload-banks': Re-reading question bank files from disk
    * - 'start': Host starting the quiz
    * - 'answer': Client submitting an answer
    * - 'next': Host advancing to next question
+   * - 'pause-timer' / 'resume-timer': Host freezing and restarting the question timer
+   * - 'add-time': Host giving the room longer on the current question
+   * - 'reveal-now': Host ending the question early
+   * - 'set-auto-reveal': Host choosing whether to reveal once everyone has answered
+   * - 'set-auto-advance': Host turning hands-free mode on or off
+   * - 'transfer-host': Host handing host controls to another player
+   * - 'claim-host': Admin taking host controls of their room
+   * - 'admin-login': Exchanging the admin password for a session token
+   * - 'admin-logout': Ending an admin session
    * - 'admin-restart': Admin restarting the quiz
    * - 'return-to-lobby': Returning all players to lobby
+   * - 'export-results': Host downloading the finished game's results
+   * - 'get-audit': Host viewing a room's audit trail (also after it closed)
+   * 
+   * Every message is rate-limited and checked against protocol.schema.json first.
+   * A request that can't be carried out gets an 'error' reply with a code
+   * (not-host, wrong-phase, already-answered, ...) and the request's requestId.
+   * Privileged actions that succeed are added to the room's audit trail.
    */
   ws.on('message', (message) => {
+    // Get client metadata
+    const meta = clients.get(ws)
+    if (!meta) return // Client not found (shouldn't happen)
+
     let data
     try {
       // Parse JSON message from client
       data = JSON.parse(message.toString())
     } catch {
-      // Invalid JSON - ignore message
+      meta.log.debug('message rejected', { code: 'bad-request' })
+      messagesDropped.inc({ reason: 'invalid' })
+      if (withinRateLimit(ws, meta, 'invalid')) sendError(ws, 'bad-request', 'Messages must be valid JSON.')
       return
     }
 
-    // Get client metadata
-    const meta = clients.get(ws)
-    if (!meta) return // Client not found (shouldn't happen)
+    // Check the message against the shared schema (see protocol.js)
+    // Handlers below can rely on every field having the declared type
+    const check = validateMessage(data)
+    if (!check.ok) {
+      meta.log.debug('message rejected', { code: check.code, type: typeof data?.type === 'string' ? data.type.slice(0, 40) : undefined })
+      messagesDropped.inc({ reason: 'invalid' })
+      if (withinRateLimit(ws, meta, 'invalid', check.requestId)) sendError(ws, check.code, check.message, check.requestId)
+      return
+    }
+    const { requestId } = data // Echoed back in any error reply
+
+    // Each message type has its own allowance per connection (see rateLimit.js)
+    if (!withinRateLimit(ws, meta, data.type, requestId)) return
+    messagesReceived.inc({ type: data.type })
+
+    // Room this client is in (undefined until it creates or joins one)
+    // All game actions below only touch this room's session
+    const room = rooms.get(meta.roomCode)
+    const session = room?.session
+
+    // Privileged actions that went through set this to the details for their
+    // audit entry ({} if the request fields say it all - see recordAudit)
+    const phaseBefore = session?.phase
+    let audit = null
 
     // Handle different message types
     switch (data.type) {
+      /**
+       * Create Room
+       * 
+       * Host creating a new room. The host joins it straight away and
+       * receives the join code to share with players.
+       */
+      case 'create-room': {
+        if (typeof data.name === 'string' && data.name.trim()) {
+          meta.name = data.name.trim().slice(0, 24)
+        }
+        const newRoom = createRoom()
+        newRoom.hostId = meta.clientId // Creator runs the game
+        meta.log.info('room created', { room: newRoom.code })
+        joinRoom(ws, meta, newRoom)
+        broadcastState(newRoom)
+        break
+      }
+
+      /**
+       * Join Room
+       * 
+       * Client joining an existing room by its code.
+       * Unknown codes get an error reply so the client can show it.
+       */
+      case 'join-room': {
+        const target = rooms.get(normalizeRoomCode(data.roomCode))
+        if (!target) {
+          sendError(ws, 'not-found', 'Room not found. Check the code and try again.', requestId)
+          break
+        }
+        if (typeof data.name === 'string' && data.name.trim()) {
+          meta.name = data.name.trim().slice(0, 24)
+        }
+        joinRoom(ws, meta, target)
+        broadcastState(target)
+        break
+      }
+
       /**
        * Resume Identity
        * 
        * Client reconnecting and wants to restore previous identity.
-       * This allows reconnection without losing name, color, and score.
+       * This allows reconnection without losing name, color, room, and score.
+       * 
+       * Security:
+       * - The identity is only adopted with a valid, unexpired resume token
+       *   (client IDs alone are public - they appear in every players list)
+       * - If another socket still holds the identity, the token holder takes
+       *   over: a phone that wakes up reconnects before the heartbeat has
+       *   noticed its old connection is dead. The old socket leaves its room
+       *   and is closed with REPLACED_CLOSE_CODE, so a second tab showing the
+       *   same player stops instead of taking it back.
+       * - Name and color must be valid strings
        * 
-       * Security: Validates that clientId, name, and color are valid strings.
+       * Reply: 'identity' with the client ID and a fresh resume token,
+       * or 'resume-refused' for an invalid or expired token
+       * (the client then keeps the new identity from 'init').
        */
       case 'resume': {
-        // Update client ID if provided and valid
-        if (typeof data.clientId === 'string' && data.clientId.trim().length > 4) {
-          meta.clientId = data.clientId.trim()
+        if (room) break // Only valid right after connecting
+        const result = playerRegistry.resume(data.resumeToken, ws, meta.clientId)
+        if (!result.ok) {
+          sendError(ws, 'resume-refused', result.message, requestId)
+          break
+        }
+        if (result.replaced) {
+          const replacedMeta = clients.get(result.replaced)
+          if (replacedMeta) {
+            replacedMeta.log.info('identity taken over by another connection')
+            leaveRoom(result.replaced, replacedMeta)
+            clients.delete(result.replaced) // Its 'close' has nothing left to clean up
+          }
+          result.replaced.close(REPLACED_CLOSE_CODE, 'Opened in another tab or device')
         }
+        meta.clientId = result.clientId
+        meta.log = log.child({ connectionId: meta.connectionId, clientId: result.clientId })
+        meta.log.info('identity resumed')
+        ws.send(JSON.stringify({ type: 'identity', clientId: result.clientId, resumeToken: result.resumeToken }))
         // Update name if provided
         if (typeof data.name === 'string' && data.name.trim()) {
           meta.name = data.name.trim().slice(0, 24) // Limit to 24 characters
@@ -399,11 +2144,31 @@ server.on('connection', (ws) => {
         if (typeof data.color === 'string' && data.color.trim()) {
           meta.color = data.color.trim()
         }
+        // Rejoin the previous room if it still exists
+        const target = rooms.get(normalizeRoomCode(data.roomCode))
+        if (!target) {
+          if (data.roomCode) sendError(ws, 'not-found', 'That room has closed. Create or join another room.', requestId)
+          break
+        }
+        joinRoom(ws, meta, target)
         // Broadcast updated state (includes restored identity)
-        broadcastState()
+        broadcastState(target)
         break
       }
       
+      /**
+       * Resync State
+       * 
+       * Client missed a patch (its version numbers had a gap) and needs
+       * a fresh full state. Nothing in the game changes, so nothing is saved.
+       */
+      case 'resync': {
+        if (!room) break // Must be in a room
+        meta.sentView = null
+        scheduleFlush(room)
+        break
+      }
+
       /**
        * Set Name
        * 
@@ -414,9 +2179,11 @@ server.on('connection', (ws) => {
        * - Limited to 24 characters
        */
       case 'set-name': {
+        if (!room) break // Must be in a room
         if (typeof data.name === 'string' && data.name.trim()) {
           meta.name = data.name.trim().slice(0, 24)
-          broadcastState() // Notify all clients of name change
+          rememberMember(room, meta)
+          broadcastState(room) // Notify room of name change
         }
         break
       }
@@ -427,6 +2194,7 @@ server.on('connection', (ws) => {
        * Host starting the quiz from lobby.
        * 
        * Requirements:
+       * - Player must be the host
        * - Player must have a name
        * - Game must be in lobby or ended phase
        * 
@@ -435,11 +2203,160 @@ server.on('connection', (ws) => {
        * - Starts question 1
        */
       case 'start': {
-        if (!meta.name) break // Must have name
-        if (session.phase === 'lobby' || session.phase === 'ended') {
-          session.scores = {} // Reset scores
-          session.answers = {} // Clear answers
-          startQuestion(0) // Start from first question
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!meta.name) {
+          sendError(ws, 'name-required', 'Set your name before starting the game.', requestId)
+          break
+        }
+        if (!requireBetweenGames(ws, session, requestId)) break
+        if (!beginGame(room)) {
+          sendError(ws, 'no-questions', 'No questions to play. Pick another bank or topic.', requestId)
+          break
+        }
+        audit = {}
+        break
+      }
+
+      /**
+       * Select Question Bank
+       * 
+       * Picks which bank the next game in this room uses.
+       * 
+       * Requirements:
+       * - Player must be the host
+       * - Game must be in lobby or ended phase (can't swap mid-game)
+       * - Bank id must be one of the loaded banks
+       */
+      case 'select-bank': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!requireBetweenGames(ws, session, requestId)) break
+        if (!questionBanks.has(data.bankId)) {
+          sendError(ws, 'not-found', 'Unknown question bank.', requestId)
+          break
+        }
+        session.bankId = data.bankId
+        // Drop a topic filter the new bank doesn't have
+        if (session.topic && !matchingQuestions(questionBanks.get(data.bankId), session.topic).length) session.topic = ''
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Set Question Draw
+       * 
+       * Host choosing how the next game's questions are drawn from the bank.
+       * 
+       * Fields (each optional, lobby / ended phase only):
+       * - questionCount: How many questions (0 = all matching)
+       * - topic: Only questions with this tag ('' = any)
+       * - randomOrder: Random sample in random order, or bank order
+       */
+      case 'set-question-draw': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!requireBetweenGames(ws, session, requestId)) break
+        if (Number.isInteger(data.questionCount) && data.questionCount >= 0) session.questionCount = data.questionCount
+        if (typeof data.topic === 'string') session.topic = data.topic.trim().slice(0, 60)
+        if (typeof data.randomOrder === 'boolean') session.randomOrder = data.randomOrder
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Set Shuffle Options
+       * 
+       * Host choosing whether every player sees the options in their own
+       * random order (so "the answer is B" can't be passed around).
+       * Lobby / ended phase only.
+       */
+      case 'set-shuffle-options': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!requireBetweenGames(ws, session, requestId)) break
+        session.shuffleOptions = data.enabled === true
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Select Scoring Mode
+       * 
+       * Picks classic (+1 per correct answer) or speed scoring for the next game.
+       * Only allowed between games so totals stay comparable within one game.
+       * Host only.
+       */
+      case 'select-scoring': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!requireBetweenGames(ws, session, requestId)) break
+        if (!SCORING_MODES.includes(data.scoringMode)) break
+        session.scoringMode = data.scoringMode
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Set Time Limit
+       * 
+       * Default seconds per question for the next game. Questions with
+       * their own timeLimit in the bank keep it. Lobby / ended phase only.
+       * 
+       * Fields:
+       * - seconds: MIN_TIME_LIMIT_S to MAX_TIME_LIMIT_S
+       */
+      case 'set-time-limit': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!requireBetweenGames(ws, session, requestId)) break
+        const seconds = Number(data.seconds)
+        if (!Number.isInteger(seconds) || seconds < MIN_TIME_LIMIT_S || seconds > MAX_TIME_LIMIT_S) {
+          sendError(ws, 'invalid-value', `Time per question must be ${MIN_TIME_LIMIT_S}-${MAX_TIME_LIMIT_S} seconds.`, requestId)
+          break
+        }
+        session.defaultDurationMs = seconds * 1000
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Set Live Counts
+       * 
+       * Host decides whether players see how many picked each option
+       * while the question is still open. Off by default so nobody can
+       * simply follow the crowd. Host only; allowed in any phase.
+       */
+      case 'set-live-counts': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        session.showLiveCounts = data.enabled === true
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Reload Question Banks
+       * 
+       * Re-reads bank files so edits show up without a redeploy.
+       * Only allowed from the lobby so nobody reloads in the middle of a question.
+       * Problems in rejected files are sent back to the requester.
+       * Host only, since a reload affects every room.
+       */
+      case 'reload-banks': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!requireBetweenGames(ws, session, requestId)) break
+        const errors = handleBankReload()
+        audit = { rejectedFiles: errors.length }
+        if (errors.length) {
+          sendError(ws, 'bank-rejected', `Some question banks were rejected: ${errors.slice(0, 3).map(formatBankError).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, requestId)
         }
         break
       }
@@ -450,26 +2367,56 @@ server.on('connection', (ws) => {
        * Client submitting an answer to current question.
        * 
        * Validation:
-       * - Must be in question phase
+       * - Must be in question phase, with the timer running (not paused)
        * - Player must have a name
-       * - Option index must be valid (0-3)
+       * - Choice must match the question type (see parseAnswer):
+       *   optionIndex for single / true-false, optionIndexes for multi, value for numeric
+       * - Indexes are positions in this player's option order (see optionOrder)
        * - Player can only answer once per question
        * 
        * Storage:
        * - Stores answer with timestamp
-       * - Timestamp allows tracking answer speed (future feature)
+       * - Also stores the time since the question started, minus pauses, for speed scoring
+       * - Reveals straight away if that was the last answer we were waiting for (autoReveal)
        */
       case 'answer': {
-        if (session.phase !== 'question') break // Only accept during question phase
-        if (!meta.name) break // Must have name
-        const optionIndex = Number(data.optionIndex)
-        // Validate option index is 0, 1, 2, or 3
-        if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex > 3) break
+        if (!room) break // Must be in a room
+        if (session.phase !== 'question') { // Only accept during question phase
+          sendError(ws, 'wrong-phase', 'This question is closed.', requestId)
+          break
+        }
+        if (session.pausedAt) { // Timer is frozen - so is answering
+          sendError(ws, 'wrong-phase', 'The timer is paused. Answer once it starts again.', requestId)
+          break
+        }
+        if (!meta.name) {
+          sendError(ws, 'name-required', 'Set your name before answering.', requestId)
+          break
+        }
         // Only allow one answer per question per player
-        if (!session.answers[meta.clientId]) {
-          session.answers[meta.clientId] = { optionIndex, ts: Date.now() }
-          broadcastState() // Update all clients with new answer count
+        if (session.answers[meta.clientId]) {
+          sendError(ws, 'already-answered', 'You have already answered this question.', requestId)
+          break
+        }
+        // Validate the choice against the question's type and option count
+        const question = currentQuestion(session)
+        if (!question) {
+          sendError(ws, 'wrong-phase', 'This question is closed.', requestId)
+          break
         }
+        const choice = parseAnswer(question, data)
+        if (!choice) {
+          sendError(ws, 'invalid-option', 'That answer does not fit this question.', requestId)
+          break
+        }
+        // The player picked from their own option order; store bank indexes
+        const order = optionOrder(session, question, meta.clientId)
+        const now = Date.now()
+        const elapsedMs = now - session.startedAt - session.pausedMs
+        session.answers[meta.clientId] = { ...toBankChoice(choice, order), ts: now, elapsedMs }
+        answersAccepted.inc()
+        if (shouldAutoReveal(room)) revealQuestion(room) // Everyone's in
+        else broadcastState(room) // Update room with new answer count
         break
       }
       
@@ -479,35 +2426,250 @@ server.on('connection', (ws) => {
        * Host advancing to next question.
        * 
        * Requirements:
+       * - Player must be the host
        * - Must be in reveal phase (current question must be revealed)
        * 
-       * Special handling:
-       * - If on last question, end game instead of starting new question
+       * After the last question this ends the game (see nextQuestion).
        */
       case 'next': {
-        if (session.phase === 'reveal') {
-          // Check if this is the last question
-          if (session.questionIndex + 1 >= questions.length) {
-            // Last question - end game
-            session.phase = 'ended'
-            session.endsAt = null
-            broadcastState()
-          } else {
-            // More questions - advance
-            nextQuestion()
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (session.phase !== 'reveal') {
+          sendError(ws, 'wrong-phase', 'Reveal the answer before moving on.', requestId)
+          break
+        }
+        nextQuestion(room)
+        audit = {}
+        break
+      }
+
+      /**
+       * Pause / Resume Timer
+       * 
+       * Host freezing the question timer (e.g. to explain something)
+       * and starting it again with the time it had left.
+       * Question phase only.
+       */
+      case 'pause-timer': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!pauseTimer(room)) {
+          sendError(ws, 'wrong-phase', 'There is no running timer to pause.', requestId)
+          break
+        }
+        audit = {}
+        break
+      }
+
+      case 'resume-timer': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!resumeTimer(room)) {
+          sendError(ws, 'wrong-phase', 'The timer is not paused.', requestId)
+          break
+        }
+        audit = {}
+        // Answers that came in before the pause may already cover everyone
+        if (shouldAutoReveal(room)) revealQuestion(room)
+        break
+      }
+
+      /**
+       * Add Time
+       * 
+       * Host giving the room longer on the current question.
+       * 
+       * Fields:
+       * - seconds: How much to add (optional, default 15, at most 5 minutes)
+       */
+      case 'add-time': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        const ms = data.seconds === undefined ? DEFAULT_ADD_TIME_MS : Number(data.seconds) * 1000
+        if (!Number.isFinite(ms) || ms <= 0 || ms > MAX_ADD_TIME_MS) {
+          sendError(ws, 'invalid-value', 'Add between 1 second and 5 minutes.', requestId)
+          break
+        }
+        if (!addTime(room, Math.round(ms))) {
+          sendError(ws, 'wrong-phase', 'Time can only be added while a question is open.', requestId)
+          break
+        }
+        audit = { seconds: Math.round(ms) / 1000 }
+        break
+      }
+
+      /**
+       * Reveal Now
+       * 
+       * Host ending the question early (e.g. once everyone has answered).
+       * Works while paused too.
+       */
+      case 'reveal-now': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (session.phase !== 'question') {
+          sendError(ws, 'wrong-phase', 'There is no open question to reveal.', requestId)
+          break
+        }
+        audit = {}
+        revealQuestion(room)
+        break
+      }
+
+      /**
+       * Set Auto-Reveal
+       * 
+       * Host choosing whether a question reveals itself as soon as every
+       * connected player has answered. Can be changed at any time.
+       */
+      case 'set-auto-reveal': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        session.autoReveal = data.enabled === true
+        audit = {}
+        if (shouldAutoReveal(room)) revealQuestion(room)
+        else broadcastState(room)
+        break
+      }
+
+      /**
+       * Set Auto-Advance
+       * 
+       * Hands-free mode for self-run study sessions: each reveal moves on to
+       * the next question by itself, and the last one to the final rankings.
+       * Can be changed at any time; a reveal on screen picks up the change.
+       * 
+       * Fields (each optional):
+       * - enabled: Turn auto-advance on or off
+       * - revealSeconds: How long each reveal stays up (MIN_REVEAL_DELAY_S-MAX_REVEAL_DELAY_S)
+       * - returnToLobby: Go back to the lobby after the final rankings have shown a while
+       */
+      case 'set-auto-advance': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (data.revealSeconds !== undefined) {
+          const seconds = Number(data.revealSeconds)
+          if (!Number.isInteger(seconds) || seconds < MIN_REVEAL_DELAY_S || seconds > MAX_REVEAL_DELAY_S) {
+            sendError(ws, 'invalid-value', `Reveal time must be ${MIN_REVEAL_DELAY_S}-${MAX_REVEAL_DELAY_S} seconds.`, requestId)
+            break
           }
+          session.revealDelayMs = seconds * 1000
+        }
+        if (typeof data.enabled === 'boolean') session.autoAdvance = data.enabled
+        if (typeof data.returnToLobby === 'boolean') session.autoReturn = data.returnToLobby
+        // Re-plan a countdown that is already running
+        if (session.phase === 'reveal') {
+          session.advanceAt = session.autoAdvance ? Date.now() + session.revealDelayMs : null
+        }
+        if (session.phase === 'ended' && !(session.autoAdvance && session.autoReturn)) session.lobbyAt = null
+        audit = {}
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Transfer Host
+       * 
+       * Host handing the game controls to another player in the room
+       * (e.g. a teacher passing control to a student helper).
+       * 
+       * Requirements:
+       * - Player must be the host
+       * - Target must be connected to the same room
+       */
+      case 'transfer-host': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        const target = Array.from(room.clients.values()).find((c) => c.clientId === data.playerId)
+        if (!target) {
+          sendError(ws, 'not-found', 'That player is no longer in the room.', requestId)
+          break
+        }
+        room.hostId = target.clientId
+        audit = { playerName: target.name }
+        broadcastState(room)
+        break
+      }
+
+      /**
+       * Claim Host
+       * 
+       * Admin taking host controls of their current room,
+       * e.g. after a student was left as host.
+       * 
+       * Security: Requires a valid admin session token from 'admin-login'
+       */
+      case 'claim-host': {
+        if (!room) break // Must be in a room
+        if (!adminAuth.isValidToken(data.token)) {
+          ws.send(JSON.stringify({ type: 'admin-auth', ok: false, message: 'Admin session expired. Please log in again.' }))
+          break
         }
+        room.hostId = meta.clientId
+        audit = {}
+        broadcastState(room)
         break
       }
       
+      /**
+       * Admin Login
+       * 
+       * Client exchanging the admin password for a session token.
+       * 
+       * Security:
+       * - Password checked against the configured hash on the server
+       * - Failed attempts are rate-limited per client address
+       * - The password is never logged
+       * 
+       * A successful login also makes the admin host of the room they are in.
+       * The check runs off the event loop (see auth.js), so the room is looked
+       * up again once it finishes - the client may have left or disconnected.
+       * 
+       * Reply: 'admin-auth' with { ok, token, expiresAt } or { ok: false, message }
+       */
+      case 'admin-login': {
+        adminAuth.login(data.password, address).then((result) => {
+          if (result.ok) meta.log.info('admin login')
+          else meta.log.warn('admin login failed', { address, lockedOut: Boolean(result.retryAfterMs) })
+          if (ws.readyState !== ws.OPEN) return
+          ws.send(JSON.stringify({ type: 'admin-auth', ...result }))
+          if (!result.ok) return
+          meta.adminToken = result.token // Lets state include answer detail for this socket
+          const current = rooms.get(meta.roomCode)
+          if (!current) return
+          const phase = current.session.phase
+          current.hostId = meta.clientId
+          recordAudit(current, meta, data, phase, {})
+          broadcastState(current)
+        }).catch((err) => {
+          meta.log.error('admin login error', { err })
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'admin-auth', ok: false }))
+        })
+        break
+      }
+
+      /**
+       * Admin Logout
+       * 
+       * Ends the admin session so the token can't be used again.
+       */
+      case 'admin-logout': {
+        if (typeof data.token === 'string') adminAuth.revokeToken(data.token)
+        if (meta.adminToken) adminAuth.revokeToken(meta.adminToken)
+        meta.adminToken = null
+        ws.send(JSON.stringify({ type: 'admin-auth', ok: false, message: 'Logged out' }))
+        if (room) broadcastState(room) // Drop answer detail from this client's view
+        break
+      }
+
       /**
        * Admin Restart
        * 
        * Admin restarting the quiz from any point.
        * 
        * Security:
-       * - Requires password authentication
-       * - Password checked on server (client-side check is not secure)
+       * - Requires a valid admin session token from 'admin-login'
+       * - Token checked on server (client-side check is not secure)
        * 
        * Action:
        * - Resets all game state
@@ -515,22 +2677,19 @@ server.on('connection', (ws) => {
        * - Clears all scores and answers
        */
       case 'admin-restart': {
-        // eslint-disable-next-line no-console
-        console.log('Admin restart requested, password:', data.password)
-        if (data.password === ADMIN_PASSWORD) {
-          // Reset all data and start from question 1
-          session.phase = 'question'
-          session.questionIndex = 0
-          session.endsAt = Date.now() + QUESTION_DURATION_MS
-          session.answers = {}
-          session.scores = {}
-          // eslint-disable-next-line no-console
-          console.log('Admin restart executed - starting from question 1')
-          broadcastState()
-        } else {
-          // eslint-disable-next-line no-console
-          console.log('Admin restart failed: incorrect password')
+        if (!room) break // Restart applies to the admin's own room
+        if (!adminAuth.isValidToken(data.token)) {
+          meta.log.warn('admin restart rejected: missing or expired admin token', { room: room.code })
+          ws.send(JSON.stringify({ type: 'admin-auth', ok: false, message: 'Admin session expired. Please log in again.' }))
+          break
         }
+        // Reset all data and start from question 1
+        // (a game in progress restarts with the questions it already has)
+        if (!beginGame(room, session.questions.length ? session.questions : drawQuestions(session))) {
+          sendError(ws, 'no-questions', 'No questions to play. Pick another bank or topic.', requestId)
+          break
+        }
+        audit = {}
         break
       }
       
@@ -540,6 +2699,7 @@ server.on('connection', (ws) => {
        * Moving all players back to lobby after game ends.
        * 
        * Requirements:
+       * - Player must be the host
        * - Game must be in ended phase
        * 
        * Action:
@@ -548,19 +2708,104 @@ server.on('connection', (ws) => {
        * - Players can start a new game
        */
       case 'return-to-lobby': {
-        if (session.phase === 'ended') {
-          session.phase = 'lobby'
-          session.questionIndex = -1
-          session.endsAt = null
-          session.answers = {}
-          session.scores = {}
-          broadcastState()
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (session.phase !== 'ended') {
+          sendError(ws, 'wrong-phase', 'The game is still running.', requestId)
+          break
+        }
+        returnToLobby(room)
+        audit = {}
+        break
+      }
+
+      /**
+       * Export Results
+       * 
+       * Host downloading the gradebook for the finished game.
+       * 
+       * Requirements:
+       * - Player must be the host
+       * - Game must be over (ended, or last question revealed - see isGameOver)
+       * - format: 'csv' (one row per player per question) or 'json' (full report)
+       * 
+       * Reply: 'export' with { format, filename, content } (see report.js)
+       */
+      case 'export-results': {
+        if (!room) break // Must be in a room
+        if (!requireHost(ws, meta, room, requestId)) break
+        if (!isGameOver(session)) {
+          sendError(ws, 'wrong-phase', 'Results can be exported once the game has finished.', requestId)
+          break
+        }
+        const format = data.format === 'json' ? 'json' : 'csv'
+        const report = buildReport(room, questionBanks.get(session.bankId)?.name || session.bankId)
+        const date = new Date(session.gameEndedAt || Date.now()).toISOString().slice(0, 10)
+        ws.send(JSON.stringify({
+          type: 'export',
+          format,
+          filename: `quiz-results-${room.code}-${date}.${format}`,
+          content: format === 'json' ? JSON.stringify(report, null, 2) : formatCsv(report),
+        }))
+        break
+      }
+
+      /**
+       * Get Audit Trail
+       * 
+       * Host reviewing who started, advanced, reconfigured or restarted
+       * games in a room, and when (see recordAudit).
+       * 
+       * Fields:
+       * - roomCode: Which room (optional, default: the room the client is in).
+       *   Works for rooms that have closed, as long as their trail is kept
+       * 
+       * Allowed for:
+       * - The current host of that room
+       * - Anyone who appears in the trail as having run it (a host who
+       *   resumed after their room closed has the same client ID)
+       * - An admin
+       * 
+       * Reply: 'audit' with { roomCode, entries }, oldest first
+       */
+      case 'get-audit': {
+        const code = data.roomCode === undefined ? room?.code : normalizeRoomCode(data.roomCode)
+        const target = rooms.get(code)
+        const trail = auditTrails.get(code)
+        if (!target && !trail) {
+          sendError(ws, 'not-found', 'No audit trail for that room.', requestId)
+          break
+        }
+        const entries = trail ? trail.entries : []
+        const allowed =
+          target?.hostId === meta.clientId ||
+          entries.some((entry) => entry.actorId === meta.clientId) ||
+          adminAuth.isValidToken(meta.adminToken)
+        if (!allowed) {
+          sendError(ws, 'not-host', "Only the room's host can view its audit trail.", requestId)
+          break
         }
+        ws.send(JSON.stringify({ type: 'audit', roomCode: code, entries }))
         break
       }
       default:
         break
     }
+
+    if (audit) recordAudit(room, meta, data, phaseBefore, audit)
+  })
+
+  /**
+   * Handle Connection Errors
+   * 
+   * ws reports frames it refuses here - bigger than MAX_MESSAGE_BYTES, or
+   * not valid WebSocket data - and then closes the connection ('close' below
+   * cleans up). Without a listener the error would crash the server.
+   * Only the error code is logged, never the frame.
+   */
+  ws.on('error', (err) => {
+    const connLog = clients.get(ws)?.log || connectionLog // Carries the resumed client ID, if any
+    connLog.warn('closing connection after socket error', { code: err.code || err.message })
   })
 
   /**
@@ -569,24 +2814,40 @@ server.on('connection', (ws) => {
    * Fired when client closes connection (closes browser, navigates away, etc.)
    * 
    * Action:
+   * - Remove client from its room (updates that room's player list)
+   * - Free its identity so a reconnect can resume it
    * - Remove client from Map
-   * - Broadcast updated state (removes player from list)
    */
-  ws.on('close', () => {
+  ws.on('close', (code) => {
+    const meta = clients.get(ws)
+    const connLog = meta?.log || connectionLog
+    connLog.info('connection closed', { code })
+    if (meta) {
+      leaveRoom(ws, meta) // Update room (player list changed)
+      playerRegistry.release(meta.clientId, ws) // Identity can be resumed from a new socket
+    }
     clients.delete(ws) // Remove from active clients
-    broadcastState() // Update all clients (player list changed)
   })
 })
 
 /**
- * Auto-Reveal Timer
+ * Auto-Reveal Timer and Room Cleanup
  * 
- * Checks every 500ms if question time has expired.
+ * Checks every 500ms if question time has expired in any room.
  * 
  * How it works:
- * 1. Check if in question phase
- * 2. Check if timer end time has passed
- * 3. If yes, automatically reveal the question
+ * 1. Loop through every room
+ * 2. Check if in question phase, not paused, and timer end time has passed
+ * 3. If yes, automatically reveal that room's question
+ * 3b. In auto-advance mode, move past a reveal whose delay is up (see advanceAt),
+ *     and take finished games back to the lobby (see lobbyAt)
+ * 3c. Pass host on if the host has been offline too long (see handOffHost), and take
+ *     players who have been offline too long off the player list (see pruneMembers)
+ * 4. Delete rooms that have been empty longer than EMPTY_ROOM_TTL_MS
+ *    (or RESTORED_ROOM_TTL_MS after a restart), and save the change
+ *    (their audit trails stay until AUDIT_RETENTION_MS, see pruneAuditTrails)
+ * 
+ * Every run records lastLoopAt, so /healthz can tell the loop is still alive.
  * 
  * Why setInterval:
  * - Server needs to check timer independently
@@ -597,12 +2858,89 @@ server.on('connection', (ws) => {
  * - Frequent enough for accurate timing
  * - Not too frequent to waste resources
  */
+let lastLoopAt = Date.now() // When the loop below last ran (see /healthz)
+
 setInterval(() => {
-  if (session.phase === 'question' && session.endsAt && Date.now() >= session.endsAt) {
-    revealQuestion() // Time's up - reveal answers
+  const now = Date.now()
+  lastLoopAt = now
+  for (const room of rooms.values()) {
+    const { session } = room
+    if (session.phase === 'question' && session.endsAt && !session.pausedAt && now >= session.endsAt) {
+      revealQuestion(room) // Time's up - reveal answers
+    }
+    if (session.phase === 'reveal' && session.advanceAt && now >= session.advanceAt) {
+      nextQuestion(room) // Next question, or the final rankings after the last one
+    }
+    if (session.phase === 'ended' && session.lobbyAt && now >= session.lobbyAt) {
+      returnToLobby(room)
+    }
+    if (handOffHost(room, now)) broadcastState(room) // Host's grace period is over
+    if (pruneMembers(room, now)) broadcastState(room) // Player list changed
+    // Empty rooms get a grace period so a host refreshing the page doesn't lose the game
+    // (longer for rooms restored after a restart)
+    if (
+      room.clients.size === 0 &&
+      room.emptySince &&
+      now - room.emptySince >= EMPTY_ROOM_TTL_MS &&
+      now >= room.reservedUntil
+    ) {
+      rooms.delete(room.code)
+      log.info('room closed', { room: room.code })
+      saveState()
+    }
   }
+  pruneAuditTrails(now)
 }, 500)
 
+/**
+ * Heartbeat
+ * 
+ * Finds connections that died without closing (e.g. a phone that lost signal),
+ * so they stop showing as online and stop getting broadcasts.
+ * 
+ * How it works:
+ * 1. Every HEARTBEAT_INTERVAL_MS each connection is pinged
+ * 2. Its pong (see the 'pong' handler) resets missedPongs and records the round trip
+ * 3. A ping still unanswered at the next round counts as missed; a connection
+ *    that misses MAX_MISSED_PONGS in a row is terminated (and recorded as a kick,
+ *    see recordKick); its 'close' handler then takes it out of its room like any other disconnect
+ * 4. Rooms are told when a player's connection turns poor, so the host sees it
+ */
+setInterval(() => {
+  const changedRooms = new Set()
+  for (const [ws, meta] of clients) {
+    if (meta.awaitingPong) {
+      meta.missedPongs += 1
+      if (meta.missedPongs >= MAX_MISSED_PONGS) {
+        recordKick(meta, 'heartbeat-timeout')
+        ws.terminate() // Dead connection - 'close' cleans up
+        continue
+      }
+      if (meta.missedPongs === 1 && rooms.has(meta.roomCode)) changedRooms.add(rooms.get(meta.roomCode)) // Now 'poor'
+    }
+    if (ws.readyState !== ws.OPEN) continue
+    meta.pingSentAt = Date.now()
+    meta.awaitingPong = true
+    ws.ping()
+  }
+  changedRooms.forEach((room) => scheduleFlush(room)) // Nothing saved changed
+}, HEARTBEAT_INTERVAL_MS)
+
+/**
+ * Shutdown
+ * 
+ * Render (and Ctrl+C locally) stop the server with a signal. Saves are
+ * batched (see saveState), so the last second of changes is written
+ * before exiting; players resume into the restored rooms afterwards.
+ */
+const shutdown = (signal) => {
+  log.info('shutting down', { signal })
+  saveStateNow()
+  process.exit(0)
+}
+process.on('SIGTERM', shutdown)
+process.on('SIGINT', shutdown)
+
 /**
  * Server Started Event
  * 
@@ -610,8 +2948,16 @@ setInterval(() => {
  * Logs connection information for debugging.
  */
 server.on('listening', () => {
-  // eslint-disable-next-line no-console
+  if (!adminAuth.enabled && process.env.ADMIN_PASSWORD_HASH) {
+    log.error('ADMIN_PASSWORD_HASH is malformed - admin login is disabled (generate a new one, see auth.js)')
+  } else if (!adminAuth.enabled) {
+    log.warn('ADMIN_PASSWORD_HASH is not set - admin login is disabled (see auth.js)')
+  }
   const protocol = process.env.NODE_ENV === 'production' ? 'wss' : 'ws'
   const host = process.env.HOST || 'localhost'
-  console.log(`Quiz WebSocket server running on ${protocol}://${host}:${PORT}`)
+  log.info('server listening', {
+    websocket: `${protocol}://${host}:${PORT}`,
+    http: `http://${host}:${PORT}`, // /healthz, /status and /metrics
+    protocolVersion: PROTOCOL_VERSION,
+  })
 })
@@ -0,0 +1,61 @@
+/**
+ * Economics Quiz - State Patches
+ * 
+ * Works out what changed between two game states, so the server can send
+ * a small patch instead of the whole state after every event.
+ * 
+ * How it works:
+ * 1. Each client gets one full 'state' snapshot when it joins a room
+ * 2. After that, server.js diffs the new state against the last one it sent
+ * 3. The changes go out as a 'patch': a list of [path, value] pairs
+ *    - path: keys from the top of the state, e.g. ['scores', 'a1b2'] or ['players', 3, 'online']
+ *    - value: the new value; a pair with no value ([path]) deletes that key
+ * 4. The client applies them in order to its copy of the state (see applyPatch in App.jsx)
+ * 
+ * Objects are compared key by key and arrays of the same length item by item,
+ * so a single score or player entry is all that goes over the wire when only it changed.
+ * An array that grew or shrank is sent whole.
+ */
+
+/**
+ * Is Plain Object
+ * 
+ * @param {*} value - Any JSON value
+ * @returns {boolean} True for objects that aren't arrays or null
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Diff State
+ * 
+ * Both states must be JSON values (no undefined inside arrays, no functions).
+ * A key whose new value is undefined counts as removed, as it would be in JSON.
+ * 
+ * @param {*} prev - State the client has
+ * @param {*} next - State the client should have
+ * @param {Array<string|number>} [path] - Where these values sit (used when recursing)
+ * @param {Array<Array>} [changes] - List to add changes to (used when recursing)
+ * @returns {Array<Array>} Changes as [path, value] or [path] (delete) pairs
+ */
+const diffState = (prev, next, path = [], changes = []) => {
+  if (prev === next) return changes
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (next[key] === undefined && prev[key] !== undefined) changes.push([[...path, key]])
+    }
+    for (const [key, value] of Object.entries(next)) {
+      if (value === undefined) continue
+      if (prev[key] === undefined) changes.push([[...path, key], value])
+      else diffState(prev[key], value, [...path, key], changes)
+    }
+    return changes
+  }
+  if (Array.isArray(prev) && Array.isArray(next) && prev.length === next.length) {
+    next.forEach((value, i) => diffState(prev[i], value, [...path, i], changes))
+    return changes
+  }
+  changes.push([path, next])
+  return changes
+}
+
+module.exports = { diffState }
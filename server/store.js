@@ -0,0 +1,132 @@
+/**
+ * Economics Quiz - Game State Store
+ * 
+ * Saves rooms (session phase, question index, answers, scores, players)
+ * so a redeploy or crash doesn't wipe out a game in progress.
+ * 
+ * How it works:
+ * 1. server.js builds a plain JSON snapshot of every room, at most once every
+ *    SAVE_DEBOUNCE_MS while changes keep coming
+ * 2. The store writes it somewhere that survives a restart, without
+ *    blocking the event loop
+ * 3. On startup server.js loads the snapshot and rebuilds the rooms;
+ *    players then 'resume' back into the same game
+ * 
+ * Stores are pluggable. Each one is an object with:
+ * - load(): Returns the last saved snapshot, or null if there is none
+ * - save(snapshot): Persists a snapshot (replacing the previous one), returns a Promise
+ * - saveSync(snapshot): The same, finished before it returns - only for shutdown,
+ *   when there is no event loop left to wait on
+ * 
+ * Built in:
+ * - 'file' (default): JSON file, written atomically (temp file + rename)
+ * - 'memory': Keeps nothing across restarts (the old behaviour)
+ * 
+ * A database-backed store (e.g. SQLite) only needs the same three methods.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { createLogger } = require('./logger')
+
+/**
+ * Create File Store
+ * 
+ * @param {string} filePath - Where to keep the snapshot
+ * @param {object} [log] - Logger for problems with the file (see logger.js)
+ * @returns {object} { load, save, saveSync }
+ */
+const createFileStore = (filePath, log = createLogger()) => {
+  /**
+   * Load
+   * 
+   * A missing file means a fresh start. A corrupt file is reported and
+   * ignored rather than stopping the server from booting.
+   * 
+   * @returns {object|null} Snapshot or null
+   */
+  const load = () => {
+    let text
+    try {
+      text = fs.readFileSync(filePath, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      log.error('ignoring unreadable saved state', { file: filePath, err })
+      return null
+    }
+  }
+
+  /**
+   * Save
+   * 
+   * Writes to a temp file first and renames it over the old one,
+   * so a crash mid-write never leaves a half-written snapshot.
+   * server.js never runs two saves at once (see saveState).
+   * 
+   * @param {object} snapshot - Plain JSON-safe object
+   * @returns {Promise<void>} Resolves once the snapshot is in place
+   */
+  const save = async (snapshot) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    const tempPath = `${filePath}.tmp`
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot))
+    await fs.promises.rename(tempPath, filePath)
+  }
+
+  /**
+   * Save Sync
+   * 
+   * Same as save, for shutdown. Uses its own temp file, so a save
+   * still in flight can't write into it.
+   * 
+   * @param {object} snapshot - Plain JSON-safe object
+   */
+  const saveSync = (snapshot) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    const tempPath = `${filePath}.exit.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot))
+    fs.renameSync(tempPath, filePath)
+  }
+
+  return { load, save, saveSync }
+}
+
+/**
+ * Create Memory Store
+ * 
+ * Nothing is kept across restarts. Useful for local experiments.
+ * 
+ * @returns {object} { load, save, saveSync }
+ */
+const createMemoryStore = () => ({
+  load: () => null,
+  save: async () => {},
+  saveSync: () => {},
+})
+
+/**
+ * Create Store
+ * 
+ * Picks a store by name (from the STORE environment variable).
+ * 
+ * @param {string} kind - 'file' or 'memory'
+ * @param {object} options - { filePath } for the file store, and an optional { log }
+ * @returns {object} { load, save, saveSync }
+ */
+const createStore = (kind, options) => {
+  switch (kind || 'file') {
+    case 'file':
+      return createFileStore(options.filePath, options.log)
+    case 'memory':
+      return createMemoryStore()
+    default:
+      throw new Error(`Unknown STORE "${kind}" (expected "file" or "memory")`)
+  }
+}
+
+module.exports = { createStore, createFileStore, createMemoryStore }